@@ -1,16 +1,293 @@
 import express from "express";
 import axios from "axios";
 import nodemailer from "nodemailer";
-import moment from "moment";
+import moment from "moment-timezone";
 import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import crypto from "crypto";
+import ExcelJS from "exceljs";
+import cronParser from "cron-parser";
+import Handlebars from "handlebars";
+import juice from "juice";
+import { Resvg } from "@resvg/resvg-js";
+import promClient from "prom-client";
+import { AsyncLocalStorage } from "async_hooks";
+import {
+  FIELD_TYPES,
+  buildRecordSchema,
+  normalizeName,
+  validateRecords,
+} from "./lib/normalize.js";
 
 dotenv.config();
 
+// Structured logging
+// Cada evento es una línea JSON con time, level y msg; los logs de un job
+// llevan además su runId. LOG_FORMAT=text los muestra legibles en desarrollo
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL]
+  ? process.env.LOG_LEVEL
+  : "info";
+const LOG_FORMAT = process.env.LOG_FORMAT || "json"; // json | text
+const logContext = new AsyncLocalStorage();
+
+// Function to write a log entry (warn y error van a stderr)
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+    return;
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...logContext.getStore(),
+    ...fields,
+  };
+  const stream =
+    LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === "text") {
+    const { time, msg, ...rest } = entry;
+    delete rest.level;
+    const extra =
+      Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : "";
+    stream.write(`${time} ${level.toUpperCase()} ${msg}${extra}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => writeLog("debug", message, fields),
+  info: (message, fields) => writeLog("info", message, fields),
+  warn: (message, fields) => writeLog("warn", message, fields),
+  error: (message, fields) => writeLog("error", message, fields),
+};
+
+// Run a function adding fields (runId, job) to every log written inside it
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Prometheus metrics
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2, 5, 10, 30, 60, 120, 300];
+const metrics = {
+  workflowRuns: new promClient.Counter({
+    name: "report_workflow_runs_total",
+    help: "Report workflow runs by result",
+    labelNames: ["status"],
+    registers: [metricsRegistry],
+  }),
+  workflowDuration: new promClient.Histogram({
+    name: "report_workflow_duration_seconds",
+    help: "Duration of the report workflow",
+    labelNames: ["status"],
+    buckets: DURATION_BUCKETS,
+    registers: [metricsRegistry],
+  }),
+  stepDuration: new promClient.Histogram({
+    name: "report_workflow_step_duration_seconds",
+    help: "Duration of each report workflow step",
+    labelNames: ["step", "status"],
+    buckets: DURATION_BUCKETS,
+    registers: [metricsRegistry],
+  }),
+  lastSuccess: new promClient.Gauge({
+    name: "report_workflow_last_success_timestamp_seconds",
+    help: "Unix time of the last successful report workflow",
+    registers: [metricsRegistry],
+  }),
+  apiFetchDuration: new promClient.Histogram({
+    name: "api_fetch_duration_seconds",
+    help: "Duration of a full API download (todas las páginas)",
+    labelNames: ["result"],
+    buckets: DURATION_BUCKETS,
+    registers: [metricsRegistry],
+  }),
+  apiRetries: new promClient.Counter({
+    name: "api_request_retries_total",
+    help: "API requests retried after a network error, 429 or 5xx",
+    registers: [metricsRegistry],
+  }),
+  recordsFetched: new promClient.Gauge({
+    name: "api_records_fetched",
+    help: "Records returned by the last API download",
+    registers: [metricsRegistry],
+  }),
+  recordsRejected: new promClient.Gauge({
+    name: "api_records_rejected",
+    help: "Records rejected by validation in the last download",
+    registers: [metricsRegistry],
+  }),
+  recordsToday: new promClient.Gauge({
+    name: "report_records_today",
+    help: "Records dated today in the last report of the current day",
+    registers: [metricsRegistry],
+  }),
+  emailAttempts: new promClient.Counter({
+    name: "email_send_attempts_total",
+    help: "Email send attempts by transport and result",
+    labelNames: ["transport", "result"],
+    registers: [metricsRegistry],
+  }),
+  emailFailures: new promClient.Counter({
+    name: "email_send_failures_total",
+    help: "Emails not sent after exhausting every transport",
+    registers: [metricsRegistry],
+  }),
+};
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// Railway corre detrás de un proxy: req.ip debe salir de X-Forwarded-For
+app.set("trust proxy", 1);
+app.use(
+  express.json({
+    // Guardar el body original para verificar las firmas HMAC
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
+
+// Report timezone configuration
+// Todas las fechas (filtro del día, sellos del reporte, snapshots) se calculan
+// en una zona IANA explícita, independiente de la zona del servidor
+const REPORT_TIMEZONE =
+  process.env.REPORT_TIMEZONE || "America/Argentina/Buenos_Aires";
+const MAX_REPORT_RANGE_DAYS = parseInt(process.env.MAX_REPORT_RANGE_DAYS || 31);
+
+if (!moment.tz.zone(REPORT_TIMEZONE)) {
+  throw new Error(`Invalid REPORT_TIMEZONE: ${REPORT_TIMEZONE}`);
+}
+
+// API pagination configuration
+// datastore_search de CKAN devuelve los registros por páginas (limit/offset):
+// se recorren todas y el total descargado se valida contra result.total
+const API_PAGE_SIZE = parseInt(process.env.API_PAGE_SIZE || 10000);
+const API_FILTERS = process.env.API_FILTERS
+  ? JSON.parse(process.env.API_FILTERS)
+  : null;
+// Rango de fechas en la API: con API_DATE_RANGE_DAYS sólo se descargan los
+// registros de los últimos N días (dateField), con datastore_search_sql
+const API_DATE_RANGE_DAYS = process.env.API_DATE_RANGE_DAYS
+  ? Number(process.env.API_DATE_RANGE_DAYS)
+  : null;
+
+// Resiliencia: timeout por request, reintentos con backoff exponencial y
+// jitter, y caché de las páginas (ETag/Last-Modified) que además sirve como
+// último dataset bueno si la API no responde
+const API_TIMEOUT_MS = parseInt(process.env.API_TIMEOUT_MS || 30000);
+const API_RETRIES = parseInt(process.env.API_RETRIES || 3);
+const API_RETRY_BASE_MS = parseInt(process.env.API_RETRY_BASE_MS || 1000);
+const API_FALLBACK_MAX_HOURS = parseFloat(
+  process.env.API_FALLBACK_MAX_HOURS || 72
+);
+// Un horario que envió datos desactualizados se reintenta cada
+// STALE_RETRY_MINUTES, durante el mismo día, hasta enviarlo con datos frescos
+const STALE_RETRY_MINUTES = parseFloat(process.env.STALE_RETRY_MINUTES || 60);
+
+if (
+  API_FILTERS &&
+  (typeof API_FILTERS !== "object" || Array.isArray(API_FILTERS))
+) {
+  throw new Error(
+    'API_FILTERS must be a JSON object, e.g. {"provincia":"CORDOBA"}'
+  );
+}
+if (
+  API_DATE_RANGE_DAYS !== null &&
+  !(Number.isInteger(API_DATE_RANGE_DAYS) && API_DATE_RANGE_DAYS > 0)
+) {
+  throw new Error("API_DATE_RANGE_DAYS must be a positive integer");
+}
+
+// Snapshot store configuration
+// Cada corrida guarda los registros del día y el análisis en un archivo JSON
+// comprimido por fecha, para poder comparar contra días anteriores
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SNAPSHOT_DIR = path.join(DATA_DIR, "snapshots");
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Price-change alert configuration
+// Se genera una alerta cuando el precio de una estación/producto varía más
+// que alguno de los umbrales configurados (porcentaje o monto absoluto)
+const ALERT_MODE = process.env.ALERT_MODE || "section"; // section | email | both | off
+const ALERT_THRESHOLD_PERCENT = parseAlertThreshold(
+  "ALERT_THRESHOLD_PERCENT",
+  10
+);
+const ALERT_THRESHOLD_AMOUNT = parseAlertThreshold(
+  "ALERT_THRESHOLD_AMOUNT",
+  null
+);
+const ALERT_MAX_ROWS = parseInt(process.env.ALERT_MAX_ROWS || 50);
+const ALERT_RECIPIENTS =
+  process.env.ALERT_RECIPIENTS || process.env.EMAIL_RECIPIENTS;
+const PRICE_INDEX_PATH = path.join(DATA_DIR, "latest-prices.json.gz");
+const API_CACHE_PATH = path.join(DATA_DIR, "api-cache.json.gz");
+
+// Report exports configuration
+// Formatos adjuntados al email: csv, json, xlsx y/o html (separados por comas)
+const EMAIL_ATTACHMENTS = (process.env.EMAIL_ATTACHMENTS || "")
+  .split(",")
+  .map((format) => format.trim().toLowerCase())
+  .filter(Boolean);
+
+// Subscribers configuration
+// Cada suscriptor recibe un reporte filtrado por provincia, producto y/o marca
+const SUBSCRIBERS_PATH = path.join(DATA_DIR, "subscribers.json");
+const PUBLIC_URL = (
+  process.env.PUBLIC_URL ||
+  (process.env.RAILWAY_PUBLIC_DOMAIN
+    ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`
+    : `http://localhost:${PORT}`)
+).replace(/\/$/, "");
+const UNSUBSCRIBE_SECRET =
+  process.env.UNSUBSCRIBE_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!process.env.UNSUBSCRIBE_SECRET) {
+  logger.warn(
+    "UNSUBSCRIBE_SECRET not set: unsubscribe links will stop working after a restart"
+  );
+}
+
+// Scheduler configuration
+// Los horarios se definen con REPORT_SCHEDULE (una expresión cron) o con un
+// archivo JSON en SCHEDULE_FILE; la última ejecución se persiste en disco
+const SCHEDULE_STATE_PATH = path.join(DATA_DIR, "scheduler.json");
+const SCHEDULE_CATCHUP_HOURS = parseInt(
+  process.env.SCHEDULE_CATCHUP_HOURS || 24
+);
+
+// Digest reports: resúmenes semanal (lunes a domingo) y mensual armados con
+// los snapshots diarios; cada tipo tiene su template (templates/<tipo>.*.hbs),
+// que completa la estructura común del partial digest con su introducción
+const DIGEST_TYPES = {
+  weekly: { unit: "isoWeek", label: "Resumen Semanal", noun: "la semana" },
+  monthly: { unit: "month", label: "Resumen Mensual", noun: "el mes" },
+};
+const REPORT_TYPES = ["daily", ...Object.keys(DIGEST_TYPES)];
+
+// Data-quality configuration
+// Los precios se comparan contra la distribución de su producto y provincia:
+// fuera del rango intercuartil ampliado (IQR) o a varias veces la mediana
+const QUALITY_IQR_FACTOR = parseFloat(process.env.QUALITY_IQR_FACTOR || 3);
+const QUALITY_MEDIAN_RATIO = parseFloat(process.env.QUALITY_MEDIAN_RATIO || 3);
+const QUALITY_MIN_GROUP_SIZE = parseInt(
+  process.env.QUALITY_MIN_GROUP_SIZE || 5
+);
+const QUALITY_MAX_ROWS = parseInt(process.env.QUALITY_MAX_ROWS || 50);
 
 // Email transporter configuration
 // Railway y otros proveedores cloud a menudo bloquean puerto 587 (SMTP)
@@ -46,829 +323,6311 @@ const emailConfig = {
   },
 };
 
-// Log de configuración para debug
-console.log("\n📧 Email Configuration:");
-console.log("  Environment:", isProduction ? "production" : "development");
-console.log("  Host:", emailConfig.host);
-console.log("  Port:", emailConfig.port);
-console.log("  Secure (SSL):", emailConfig.secure);
-console.log(
-  "  User:",
-  emailConfig.auth.user ? emailConfig.auth.user : "❌ NOT SET"
+// Email transports
+// EMAIL_TRANSPORTS es la lista ordenada de failover: sendEmail() agota los
+// reintentos de uno y pasa al siguiente. smtp usa emailConfig, http una API
+// de email por HTTP y outbox guarda los emails en disco (corridas locales)
+const EMAIL_TRANSPORTS = (process.env.EMAIL_TRANSPORTS || "smtp")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+const EMAIL_HTTP_TIMEOUT_MS = parseInt(
+  process.env.EMAIL_HTTP_TIMEOUT_MS || 30000
 );
-console.log(
-  "  Password:",
-  emailConfig.auth.pass
-    ? "✓ Set (" + emailConfig.auth.pass.length + " chars)"
-    : "❌ NOT SET"
-);
-
-const transporter = nodemailer.createTransport(emailConfig);
+const EMAIL_OUTBOX_DIR =
+  process.env.EMAIL_OUTBOX_DIR || path.join(DATA_DIR, "outbox");
+const EMAIL_OUTBOX_FORMAT = process.env.EMAIL_OUTBOX_FORMAT || "eml";
 
-// Verify transporter configuration with timeout
-async function verifyEmailConnection() {
-  try {
-    console.log("Attempting to verify email connection...");
-    
-    // Create a timeout promise
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Verification timeout after 30s')), 30000)
-    );
-    
-    // Race between verify and timeout
-    await Promise.race([
-      transporter.verify(),
-      timeoutPromise
-    ]);
-    
-    console.log("✅ Email transporter is ready");
-    return true;
-  } catch (error) {
-    console.error("❌ Email transporter verification failed:", error.message);
-    console.error("This might be due to firewall/network restrictions in Railway");
-    console.error("The email will still attempt to send when triggered");
-    return false;
-  }
-}
+// SMTP transport (nodemailer con emailConfig)
+function createSmtpTransport() {
+  // Log de configuración para debug
+  logger.info("Email configuration", {
+    environment: isProduction ? "production" : "development",
+    host: emailConfig.host,
+    port: emailConfig.port,
+    secure: emailConfig.secure,
+    user: emailConfig.auth.user || null,
+    passwordSet: Boolean(emailConfig.auth.pass),
+  });
 
-// Function to fetch data from API
-async function fetchApiData() {
-  try {
-    const response = await axios.get(process.env.API_ENDPOINT, {
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
-    return response.data;
-  } catch (error) {
-    console.error("Error fetching API data:", error.message);
-    throw new Error(`Failed to fetch API data: ${error.message}`);
-  }
+  const transporter = nodemailer.createTransport(emailConfig);
+  return {
+    send: (mailOptions) => transporter.sendMail(mailOptions),
+    verify: () => transporter.verify(),
+  };
 }
 
-// Function to filter data for today only
-function filterTodayData(data) {
-  if (!data || !data.result || !Array.isArray(data.result.records)) {
-    console.warn("Data structure not as expected, returning empty array");
-    return [];
+// Generic HTTP email API: POST a EMAIL_HTTP_URL con el email en JSON
+// (adjuntos en base64) y EMAIL_HTTP_API_KEY como Bearer token
+function createHttpTransport() {
+  if (!process.env.EMAIL_HTTP_URL) {
+    throw new Error("EMAIL_HTTP_URL is required by the http email transport");
   }
 
-  // Get today's date in Argentina timezone (UTC-3)
-  const todayArgentina = moment().utcOffset(-3).format("YYYY-MM-DD");
+  return {
+    send: async (mailOptions) => {
+      const headers = { "Content-Type": "application/json" };
+      if (process.env.EMAIL_HTTP_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.EMAIL_HTTP_API_KEY}`;
+      }
+      const body = {
+        from: mailOptions.from,
+        to: String(mailOptions.to)
+          .split(",")
+          .map((address) => address.trim())
+          .filter(Boolean),
+        subject: mailOptions.subject,
+        text: mailOptions.text,
+        html: mailOptions.html,
+        headers: {
+          ...(mailOptions.list
+            ? { "List-Unsubscribe": `<${mailOptions.list.unsubscribe}>` }
+            : {}),
+          ...mailOptions.headers,
+        },
+        attachments: mailOptions.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          content: Buffer.from(attachment.content).toString("base64"),
+          contentType: attachment.contentType || null,
+          contentId: attachment.cid || null,
+          disposition: attachment.contentDisposition || "attachment",
+        })),
+      };
 
-  return data.result.records.filter((item) => {
-    // fecha_vigencia is in Argentina local time, so we compare directly
-    const itemDate = moment(item.fecha_vigencia).format("YYYY-MM-DD");
-    return itemDate === todayArgentina;
-  });
+      try {
+        const response = await axios.post(process.env.EMAIL_HTTP_URL, body, {
+          headers,
+          timeout: EMAIL_HTTP_TIMEOUT_MS,
+        });
+        const data = response.data || {};
+        return {
+          messageId: data.id || data.messageId || data.message_id || null,
+          response: `${response.status} ${response.statusText}`,
+        };
+      } catch (error) {
+        if (error.response) {
+          throw new Error(
+            `Email API responded ${error.response.status}: ${JSON.stringify(
+              error.response.data
+            )}`
+          );
+        }
+        throw error;
+      }
+    },
+  };
 }
 
-// Function to group data by field
-function groupDataBy(data, field) {
-  const grouped = {};
-  data.forEach((item) => {
-    const key = item[field] || "Sin especificar";
-    if (!grouped[key]) {
-      grouped[key] = [];
-    }
-    grouped[key].push(item);
+// Outbox transport: cada email queda como .eml en EMAIL_OUTBOX_DIR o se
+// agrega a outbox.mbox, para probar el workflow completo sin red
+function createOutboxTransport() {
+  if (!["eml", "mbox"].includes(EMAIL_OUTBOX_FORMAT)) {
+    throw new Error(
+      `Invalid EMAIL_OUTBOX_FORMAT "${EMAIL_OUTBOX_FORMAT}", use eml or mbox`
+    );
+  }
+  const composer = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
   });
-  return grouped;
-}
 
-// Function to analyze data and create statistics
-function analyzeData(todayData, allData) {
-  const analysis = {
-    totalRecords: todayData.length,
-    byProduct: {},
-    byProvince: {},
-    byGasStation: {},
-    byFlagCompany: {},
-    byLocality: {},
-    gasStationStats: {
-      totalStations: 0,
-      activeStationsToday: 0,
-      activeStationsWithPrices: 0,
-      percentageActive: 0,
-      percentageWithPrices: 0,
+  return {
+    send: async (mailOptions) => {
+      const info = await composer.sendMail(mailOptions);
+      await fs.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+
+      let file;
+      if (EMAIL_OUTBOX_FORMAT === "mbox") {
+        // Formato mboxrd: las líneas "From " del cuerpo se escapan con ">"
+        file = path.join(EMAIL_OUTBOX_DIR, "outbox.mbox");
+        const separator = `From ${EMAIL_FROM || "MAILER-DAEMON"} ${moment
+          .utc()
+          .format("ddd MMM D HH:mm:ss YYYY")}`;
+        const message = info.message.toString().replace(/^(>*From )/gm, ">$1");
+        await fs.appendFile(file, `${separator}\n${message}\n\n`);
+      } else {
+        file = path.join(
+          EMAIL_OUTBOX_DIR,
+          `${moment().format("YYYYMMDD-HHmmss")}-${crypto
+            .randomBytes(4)
+            .toString("hex")}.eml`
+        );
+        await fs.writeFile(file, info.message);
+      }
+      return { messageId: info.messageId, response: `Saved to ${file}` };
     },
-    flagCompanyStats: {
-      totalBrands: 0,
-      activeBrandsToday: 0,
-      activeBrandsWithPrices: 0,
-      percentageActive: 0,
+    verify: async () => {
+      await fs.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+      await fs.access(EMAIL_OUTBOX_DIR, fs.constants.W_OK);
     },
   };
+}
 
-  // Group by product
-  const productGroups = groupDataBy(todayData, "producto");
-  analysis.byProduct = Object.keys(productGroups)
-    .map((product) => {
-      const records = productGroups[product];
-      // Count unique stations that updated this specific product
-      const uniqueStationsForProduct = new Set(
-        records.map((item) => item.idempresa).filter(Boolean)
-      ).size;
-
-      return {
-        name: product,
-        count: records.length,
-        activeStations: uniqueStationsForProduct,
-        records: records,
-      };
-    })
-    .sort((a, b) => b.count - a.count);
-
-  // Group by province
-  const provinceGroups = groupDataBy(todayData, "provincia");
-  analysis.byProvince = Object.keys(provinceGroups)
-    .map((province) => {
-      const records = provinceGroups[province];
-      const activeStations = new Set(
-        records.map((item) => item.idempresa).filter(Boolean)
-      ).size;
-      return {
-        name: province,
-        count: records.length,
-        activeStations: activeStations,
-        records: records,
-      };
-    })
-    .sort((a, b) => b.count - a.count);
-
-  // Group by gas station (empresa)
-  const gasStationGroups = groupDataBy(todayData, "empresa");
-  analysis.byGasStation = Object.keys(gasStationGroups)
-    .map((station) => ({
-      name: station,
-      count: gasStationGroups[station].length,
-      records: gasStationGroups[station],
-    }))
-    .sort((a, b) => b.count - a.count);
-
-  // Group by flag company (marca)
-  const flagCompanyGroups = groupDataBy(todayData, "empresabandera");
-  analysis.byFlagCompany = Object.keys(flagCompanyGroups)
-    .map((company) => {
-      const records = flagCompanyGroups[company];
-      const activeStations = new Set(
-        records.map((item) => item.idempresa).filter(Boolean)
-      ).size;
-      return {
-        name: company,
-        count: records.length,
-        activeStations: activeStations,
-        records: records,
-      };
-    })
-    .sort((a, b) => b.count - a.count);
-
-  // Group by locality (localidad)
-  const localityGroups = groupDataBy(todayData, "localidad");
-  analysis.byLocality = Object.keys(localityGroups)
-    .map((locality) => {
-      const records = localityGroups[locality];
-      const activeStations = new Set(
-        records.map((item) => item.idempresa).filter(Boolean)
-      ).size;
-      return {
-        name: locality,
-        count: records.length,
-        activeStations: activeStations,
-        records: records,
-      };
-    })
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10); // Top 10 only
+const EMAIL_TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  http: createHttpTransport,
+  outbox: createOutboxTransport,
+};
 
-  // Calculate gas station statistics (Empresa = Estación de Servicio)
-  const totalUniqueStations = new Set(
-    allData.map((item) => item.idempresa).filter(Boolean)
-  );
-  const activeStationsToday = new Set(
-    todayData.map((item) => item.idempresa).filter(Boolean)
-  );
-  const activeStationsWithPrices = new Set(
-    todayData
-      .filter((item) => item.precio && item.precio > 0)
-      .map((item) => item.idempresa)
-  );
+// Configured transports in failover order, each with its last known state
+// (verify al arrancar y resultado de cada envío, reportado por /health/ready)
+const emailTransports = EMAIL_TRANSPORTS.map((name) => {
+  if (!EMAIL_TRANSPORT_FACTORIES[name]) {
+    throw new Error(
+      `Unknown email transport "${name}", use ${Object.keys(
+        EMAIL_TRANSPORT_FACTORIES
+      ).join(", ")}`
+    );
+  }
+  return {
+    name,
+    ...EMAIL_TRANSPORT_FACTORIES[name](),
+    health: { status: "unknown", checkedAt: null, error: null },
+  };
+});
+if (emailTransports.length === 0) {
+  throw new Error("EMAIL_TRANSPORTS must list at least one transport");
+}
+logger.info("Email transports", { transports: EMAIL_TRANSPORTS });
 
-  analysis.gasStationStats = {
-    totalStations: totalUniqueStations.size,
-    activeStationsToday: activeStationsToday.size,
-    activeStationsWithPrices: activeStationsWithPrices.size,
-    percentageActive:
-      totalUniqueStations.size > 0
-        ? ((activeStationsToday.size / totalUniqueStations.size) * 100).toFixed(
-            2
-          )
-        : 0,
-    percentageWithPrices:
-      activeStationsToday.size > 0
-        ? (
-            (activeStationsWithPrices.size / activeStationsToday.size) *
-            100
-          ).toFixed(2)
-        : 0,
+// Function to record the outcome of a transport check or send
+function setTransportHealth(transport, error = null) {
+  transport.health = {
+    status: error ? "failed" : "ok",
+    checkedAt: new Date().toISOString(),
+    error: error ? error.message : null,
   };
+}
 
-  // Calculate flag company statistics (Empresa Bandera = Marca)
-  const activeBrandsToday = new Set(
-    todayData.map((item) => item.empresabandera).filter(Boolean)
-  );
-  const activeBrandsWithPrices = new Set(
-    todayData
-      .filter((item) => item.precio && item.precio > 0)
-      .map((item) => item.empresabandera)
+// Trigger authentication configuration
+// Las rutas que disparan envíos o administran suscriptores requieren
+// "Authorization: Bearer <TRIGGER_TOKEN>" o una firma HMAC con timestamp
+// TRIGGER_TOKEN acepta varios secretos separados por comas (uno por cliente);
+// el id de cada uno (un hash corto) identifica al cliente en el rate limiting
+const TRIGGER_TOKEN = process.env.TRIGGER_TOKEN;
+const TRIGGER_KEYS = (TRIGGER_TOKEN || "")
+  .split(",")
+  .map((secret) => secret.trim())
+  .filter(Boolean)
+  .map((secret) => ({
+    id: crypto.createHash("sha256").update(secret).digest("hex").slice(0, 12),
+    secret,
+  }));
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(
+  process.env.SIGNATURE_TOLERANCE_SECONDS || 300
+);
+const TRIGGER_RATE_LIMIT = parseInt(process.env.TRIGGER_RATE_LIMIT || 5);
+const TRIGGER_RATE_WINDOW_MINUTES = parseInt(
+  process.env.TRIGGER_RATE_WINDOW_MINUTES || 15
+);
+// Vista previa y exportaciones del reporte (misma ventana que los disparos)
+const REPORT_RATE_LIMIT = parseInt(process.env.REPORT_RATE_LIMIT || 30);
+// Intentos de autenticación fallidos por IP en la misma ventana
+const AUTH_FAILURE_LIMIT = parseInt(process.env.AUTH_FAILURE_LIMIT || 10);
+// Consultas públicas (/prices, /aggregates, /stations/nearby, dashboard) por
+// IP en la misma ventana
+const QUERY_RATE_LIMIT = parseInt(process.env.QUERY_RATE_LIMIT || 120);
+const SENT_REPORTS_PATH = path.join(DATA_DIR, "sent-reports.json");
+
+if (!TRIGGER_TOKEN) {
+  logger.warn(
+    isProduction
+      ? "TRIGGER_TOKEN not set: protected routes are disabled in production"
+      : "TRIGGER_TOKEN not set: protected routes are open (development only)"
   );
+}
 
-  analysis.flagCompanyStats = {
-    totalBrands: activeBrandsToday.size,
-    activeBrandsToday: activeBrandsToday.size,
-    activeBrandsWithPrices: activeBrandsWithPrices.size,
-    percentageActive:
-      activeBrandsToday.size > 0
-        ? (
-            (activeBrandsWithPrices.size / activeBrandsToday.size) *
-            100
-          ).toFixed(2)
-        : 0,
-  };
+// Firmas HMAC ya usadas dentro de la ventana de tolerancia (anti-replay)
+const usedSignatures = new Map();
 
-  return analysis;
+// Compare two strings in constant time
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
 }
 
-// Function to generate professional HTML report
-function generateReport(apiData) {
-  const reportDate = moment().format("DD/MM/YYYY HH:mm:ss");
-  const today = moment().format("DD/MM/YYYY");
-
-  // Get today's data for analysis
-  const todayData = filterTodayData(apiData);
-  const allData = apiData.result ? apiData.result.records : [];
-  const analysis = analyzeData(todayData, allData);
-
-  const htmlReport = `
-<!DOCTYPE html>
-<html lang="es">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Reporte de Precios de Combustibles - ${today}</title>
-    <style>
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            margin: 0;
-            padding: 20px;
-            background-color: #f5f5f5;
-            color: #333;
-        }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 10px;
-            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-            overflow: hidden;
-        }
-        .header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 20px;
-            text-align: center;
-        }
-        .header h1 {
-            margin: 0;
-            font-size: 2em;
-            font-weight: 300;
-        }
-        .header p {
-            margin: 10px 0 0 0;
-            opacity: 0.9;
-            font-size: 1.1em;
-        }
-        .content {
-            padding: 30px;
-        }
-        .summary-cards {
-            display: grid;
-            grid-template-columns: repeat(2, 1fr);
-            gap: 10px;
-            margin-bottom: 40px;
-        }
-        .card {
-            background: #f8f9fa;
-            border-left: 4px solid #667eea;
-            padding: 15px;
-            margin-bottom: 10px;
-            border-radius: 8px;
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-        }
-        .card-content {
-            flex: 1;
-            margin-bottom: 10px;
-        }
-        .card h3 {
-            margin: 0 0 5px 0;
-            color: #667eea;
-            font-size: 1em;
-            font-weight: 600;
-        }
-        .card p {
-            margin: 0;
-            font-size: 0.85em;
-            color: #666;
-            line-height: 1.3;
-        }
-        .card .number {
-            font-size: 2em;
-            font-weight: bold;
-            color: #333;
-            margin-left: 15px;
-            min-width: 60px;
-            text-align: right;
-        }
-        @media (max-width: 768px) {
-            .summary-cards {
-                grid-template-columns: 1fr;
-            }
-            .card {
-                flex-direction: column;
-                text-align: center;
-            }
-            .card .number {
-                margin-left: 0;
-                margin-top: 10px;
-            }
-        }
-        .section {
-            margin-bottom: 40px;
-        }
-        .section h2 {
-            color: #333;
-            border-bottom: 2px solid #667eea;
-            padding-bottom: 10px;
-            margin-bottom: 20px;
-        }
-        table {
-            width: 100%;
-            border-collapse: collapse;
-            margin-bottom: 20px;
-            background: white;
-            border-radius: 8px;
-            overflow: hidden;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-        }
-        th {
-            background: #667eea;
-            color: white;
-            padding: 15px;
-            text-align: left;
-            font-weight: 600;
-        }
-        td {
-            padding: 12px 15px;
-            border-bottom: 1px solid #eee;
-        }
-        tr:hover {
-            background-color: #f8f9fa;
-        }
-        .percentage {
-            font-weight: bold;
-            color: #28a745;
-        }
-        .footer {
-            background: #f8f9fa;
-            padding: 20px 30px;
-            text-align: center;
-            color: #666;
-            border-top: 1px solid #eee;
-        }
-        .no-data {
-            text-align: center;
-            color: #666;
-            font-style: italic;
-            padding: 20px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Reporte de Precios de Combustibles</h1>
-            <p>Datos del día ${today} | Generado el ${reportDate}</p>
-        </div>
-        
-        <div class="content">
-            <div class="summary-cards" style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px;">
-                <div class="card">
-                    <div class="card-content">
-                        <h3>Registros Nuevos Hoy</h3>
-                        <p>Actualizaciones de precios del día</p>
-                    </div>
-                    <div class="number">${analysis.totalRecords}</div>
-                </div>
-                <div class="card">
-                    <div class="card-content">
-                        <h3>Estaciones Activas</h3>
-                        <p>de ${
-                          analysis.gasStationStats.totalStations
-                        } estaciones totales</p>
-                    </div>
-                    <div class="number">${
-                      analysis.gasStationStats.activeStationsToday
-                    }</div>
-                </div>
-                <div class="card">
-                    <div class="card-content">
-                        <h3>Marcas Activas</h3>
-                        <p>Marcas que reportaron hoy</p>
-                    </div>
-                    <div class="number">${
-                      analysis.flagCompanyStats.activeBrandsToday
-                    }</div>
-                </div>
-                <div class="card">
-                    <div class="card-content">
-                        <h3>Cobertura de Red</h3>
-                        <p>Estaciones activas del total</p>
-                    </div>
-                    <div class="number">${
-                      analysis.gasStationStats.percentageActive
-                    }%</div>
-                </div>
-            </div>
-
-            ${
-              analysis.totalRecords > 0
-                ? `
-            <div class="section">
-                <h2>📈 Nuevos Registros por Producto (Hoy)</h2>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Producto</th>
-                            <th>Precios Nuevos</th>
-                            <th>Estaciones Activas</th>
-                            <th>Porcentaje del Total</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${analysis.byProduct
-                          .map(
-                            (product) => `
-                        <tr>
-                            <td>${product.name}</td>
-                            <td>${product.count}</td>
-                            <td>${product.activeStations}</td>
-                            <td class="percentage">${(
-                              (product.count / analysis.totalRecords) *
-                              100
-                            ).toFixed(1)}%</td>
-                        </tr>
-                        `
-                          )
-                          .join("")}
-                    </tbody>
-                </table>
-            </div>
-
-            <div class="section">
-                <h2>🗺️ Nuevos Registros por Provincia (Hoy)</h2>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Provincia</th>
-                            <th>Precios Nuevos</th>
-                            <th>Estaciones Activas</th>
-                            <th>Porcentaje del Total</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${analysis.byProvince
-                          .sort((a, b) => b.count - a.count)
-                          .map(
-                            (province) => `
-                        <tr>
-                            <td>${province.name}</td>
-                            <td>${province.count}</td>
-                            <td>${province.activeStations}</td>
-                            <td class="percentage">${(
-                              (province.count / analysis.totalRecords) *
-                              100
-                            ).toFixed(1)}%</td>
-                        </tr>
-                        `
-                          )
-                          .join("")}
-                    </tbody>
-                </table>
-            </div>
-
-
-            <div class="section">
-                <h2>🏢 Nuevos Registros por Marca (Hoy)</h2>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Marca (Empresa Bandera)</th>
-                            <th>Precios Nuevos</th>
-                            <th>Estaciones Activas</th>
-                            <th>Porcentaje del Total</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${analysis.byFlagCompany
-                          .sort((a, b) => b.count - a.count)
-                          .map(
-                            (company) => `
-                        <tr>
-                            <td>${company.name}</td>
-                            <td>${company.count}</td>
-                            <td>${company.activeStations}</td>
-                            <td class="percentage">${(
-                              (company.count / analysis.totalRecords) *
-                              100
-                            ).toFixed(1)}%</td>
-                        </tr>
-                        `
-                          )
-                          .join("")}
-                    </tbody>
-                </table>
-            </div>
-
-            <div class="section">
-                <h2>🏘️ Top 10 Localidades con Más Actualizaciones</h2>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Localidad</th>
-                            <th>Precios Nuevos</th>
-                            <th>Estaciones Activas</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${analysis.byLocality
-                          .map(
-                            (locality) => `
-                        <tr>
-                            <td>${locality.name}</td>
-                            <td>${locality.count}</td>
-                            <td>${locality.activeStations}</td>
-                        </tr>
-                        `
-                          )
-                          .join("")}
-                    </tbody>
-                </table>
-            </div>
-
-            <div class="section">
-                <h2>Estadísticas de Red de Estaciones</h2>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Métrica</th>
-                            <th>Valor</th>
-                            <th>Descripción</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        <tr>
-                            <td>Total de Estaciones Registradas</td>
-                            <td><strong>${
-                              analysis.gasStationStats.totalStations
-                            }</strong></td>
-                            <td>Estaciones de servicio únicas en todo el sistema</td>
-                        </tr>
-                        <tr>
-                            <td>Estaciones Activas Hoy</td>
-                            <td><strong>${
-                              analysis.gasStationStats.activeStationsToday
-                            }</strong></td>
-                            <td>Estaciones que reportaron precios en el día</td>
-                        </tr>
-                        <tr>
-                            <td>Estaciones con Precios Válidos</td>
-                            <td><strong>${
-                              analysis.gasStationStats.activeStationsWithPrices
-                            }</strong></td>
-                            <td>Estaciones con precios informados (> 0)</td>
-                        </tr>
-                        <tr>
-                            <td>Cobertura de Red</td>
-                            <td><strong class="percentage">${
-                              analysis.gasStationStats.percentageActive
-                            }%</strong></td>
-                            <td>Porcentaje de estaciones activas del total registrado</td>
-                        </tr>
-                        <tr>
-                            <td>Calidad de Información</td>
-                            <td><strong class="percentage">${
-                              analysis.gasStationStats.percentageWithPrices
-                            }%</strong></td>
-                            <td>Porcentaje de estaciones activas con precios válidos</td>
-                        </tr>
-                    </tbody>
-                </table>
-            </div>
-
-            <div class="section">
-                <h2>🏷️ Estadísticas de Marcas</h2>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Métrica</th>
-                            <th>Valor</th>
-                            <th>Descripción</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        <tr>
-                            <td>Marcas Activas Hoy</td>
-                            <td><strong>${
-                              analysis.flagCompanyStats.activeBrandsToday
-                            }</strong></td>
-                            <td>Marcas que reportaron precios en el día</td>
-                        </tr>
-                        <tr>
-                            <td>Marcas con Precios Válidos</td>
-                            <td><strong>${
-                              analysis.flagCompanyStats.activeBrandsWithPrices
-                            }</strong></td>
-                            <td>Marcas con precios informados (> 0)</td>
-                        </tr>
-                        <tr>
-                            <td>Calidad de Información por Marca</td>
-                            <td><strong class="percentage">${
-                              analysis.flagCompanyStats.percentageActive
-                            }%</strong></td>
-                            <td>Porcentaje de marcas activas con precios válidos</td>
-                        </tr>
-                    </tbody>
-                </table>
-            </div>
-            `
-                : `
-            <div class="no-data">
-                <h3>No hay datos disponibles para el día de hoy</h3>
-                <p>No se encontraron registros nuevos para la fecha ${today}</p>
-            </div>
-            `
-            }
-        </div>
-        
-        <div class="footer">
-            <p>Reporte generado automáticamente desde la API de datos.energia.gob.ar</p>
-            <p>Sistema de Monitoreo de Precios de Combustibles - Argentina</p>
-        </div>
-    </div>
-</body>
-</html>`;
-
-  return htmlReport;
+// HMAC signature of a request: "<timestamp>.<METHOD>.<url>.<body>"
+function signRequest(secret, timestamp, method, url, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${method}.${url}.${body || ""}`)
+    .digest("hex");
 }
 
-// Function to send email with retry logic
-async function sendEmail(reportContent, retries = 3) {
-  const today = moment().format("DD/MM/YYYY");
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: process.env.EMAIL_RECIPIENTS,
-    subject: `🔴 Reporte Precios Combustibles - ${today}`,
-    text: `Reporte de precios de combustibles del ${today}. Ver archivo adjunto HTML para el reporte completo.`,
-    html: reportContent,
-  };
+// Function to check the Bearer token or the HMAC signature of a request
+// Devuelve { key } con la clave que lo autoriza, o { reason } del rechazo
+function checkRequestAuth(req) {
+  const authorization = req.get("Authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    const token = authorization.slice(7);
+    const key = TRIGGER_KEYS.find((item) => safeEqual(token, item.secret));
+    return key ? { key } : { reason: "Invalid token" };
+  }
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      console.log(`Attempt ${attempt}/${retries} to send email...`);
-      const info = await transporter.sendMail(mailOptions);
-      console.log("✅ Email sent successfully:", info.messageId);
-      console.log("   Response:", info.response);
-      return { success: true, messageId: info.messageId };
-    } catch (error) {
-      console.error(`❌ Attempt ${attempt} failed:`, error.message);
+  const signature = (req.get("X-Signature") || "").replace(/^sha256=/, "");
+  const timestamp = req.get("X-Timestamp");
+  if (!signature || !timestamp) {
+    return {
+      reason: "Missing Authorization or X-Signature/X-Timestamp headers",
+    };
+  }
 
-      if (error.code) {
-        console.error("   Error code:", error.code);
-      }
-      if (error.command) {
-        console.error("   Failed command:", error.command);
-      }
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const age = Math.abs(nowSeconds - parseInt(timestamp));
+  if (!(age <= SIGNATURE_TOLERANCE_SECONDS)) {
+    return { reason: "Request timestamp outside the allowed window" };
+  }
+  const key = TRIGGER_KEYS.find((item) =>
+    safeEqual(
+      signature,
+      signRequest(
+        item.secret,
+        timestamp,
+        req.method,
+        req.originalUrl,
+        req.rawBody
+      )
+    )
+  );
+  if (!key) {
+    return { reason: "Invalid signature" };
+  }
 
-      if (attempt < retries) {
-        const waitTime = attempt * 2000; // Espera incremental: 2s, 4s, 6s
-        console.log(`   Waiting ${waitTime / 1000}s before retry...`);
-        await new Promise((resolve) => setTimeout(resolve, waitTime));
-      } else {
-        console.error("   All retry attempts exhausted");
-        throw new Error(
-          `Failed to send email after ${retries} attempts: ${error.message}`
-        );
-      }
+  // Una firma válida sólo se acepta una vez
+  usedSignatures.forEach((expiresAt, key) => {
+    if (expiresAt < nowSeconds) {
+      usedSignatures.delete(key);
     }
+  });
+  if (usedSignatures.has(signature)) {
+    return { reason: "Signature already used (replayed request)" };
   }
+  usedSignatures.set(signature, nowSeconds + SIGNATURE_TOLERANCE_SECONDS);
+  return { key };
 }
 
-// Main workflow function
-async function executeReportWorkflow() {
-  try {
-    console.log("Starting report workflow...");
+// Middleware that protects the trigger and admin routes
+// Los intentos fallidos cuentan por IP (authFailureLimiter) antes de verificar
+// las credenciales, así que adivinar el token o la firma también se frena
+function requireAuth(req, res, next) {
+  if (!TRIGGER_TOKEN) {
+    if (isProduction) {
+      return res.status(503).json({
+        error: "Authentication not configured: set TRIGGER_TOKEN",
+      });
+    }
+    return next();
+  }
 
-    // Step 1: Fetch data from API
-    console.log("Fetching data from API...");
-    const apiData = await fetchApiData();
+  authFailureLimiter(req, res, () => {
+    const { key, reason } = checkRequestAuth(req);
+    if (reason) {
+      logger.warn("Rejected unauthorized request", {
+        method: req.method,
+        url: req.originalUrl,
+        reason,
+      });
+      return res.status(401).json({ error: "Unauthorized", details: reason });
+    }
+    // Identidad para el rate limiting: el id de la clave que autorizó
+    req.authIdentity = `key:${key.id}`;
+    next();
+  });
+}
 
-    // Step 2: Get today's data
-    console.log("Filtering today's data...");
-    const todayData = filterTodayData(apiData);
+// Function to create a fixed-window rate limiter
+// Por defecto cuenta por identidad autenticada (o por IP si la autenticación
+// está desactivada), va después de requireAuth y no cuenta las respuestas
+// 4xx (body inválido, reporte ya enviado); counts elige qué status cuentan
+function createRateLimiter({
+  max,
+  windowMs,
+  getKey = (req) => req.authIdentity || req.ip,
+  counts = (status) => status < 400 || status >= 500,
+}) {
+  const hits = new Map();
+  return (req, res, next) => {
+    const now = Date.now();
+    if (hits.size > 1000) {
+      hits.forEach((item, key) => item.resetAt <= now && hits.delete(key));
+    }
+    const key = getKey(req);
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    if (entry.count >= max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Too many requests",
+        details: `Retry in ${retryAfter}s`,
+      });
+    }
+    // Se cuenta al entrar (para frenar ráfagas) y se devuelve si la
+    // respuesta no es de las que cuentan
+    entry.count++;
+    res.on("finish", () => {
+      if (!counts(res.statusCode)) {
+        entry.count--;
+      }
+    });
+    next();
+  };
+}
 
-    // Step 3: Generate report
-    console.log("Generating report...");
-    const reportContent = generateReport(apiData);
+const queryRateLimiter = createRateLimiter({
+  max: QUERY_RATE_LIMIT,
+  windowMs: TRIGGER_RATE_WINDOW_MINUTES * 60 * 1000,
+});
 
-    // Step 4: Send email
-    console.log("Sending email...");
-    const emailResult = await sendEmail(reportContent);
+// Failed authentication attempts per IP (requireAuth)
+const authFailureLimiter = createRateLimiter({
+  max: AUTH_FAILURE_LIMIT,
+  windowMs: TRIGGER_RATE_WINDOW_MINUTES * 60 * 1000,
+  getKey: (req) => req.ip,
+  counts: (status) => status === 401,
+});
 
-    console.log("Report workflow completed successfully");
+const triggerRateLimiter = createRateLimiter({
+  max: TRIGGER_RATE_LIMIT,
+  windowMs: TRIGGER_RATE_WINDOW_MINUTES * 60 * 1000,
+});
 
-    return {
-      success: true,
-      todayRecords: todayData.length,
-      emailSent: emailResult.success,
-      messageId: emailResult.messageId,
-    };
-  } catch (error) {
-    console.error("Error in report workflow:", error.message);
-    throw error;
+const reportRateLimiter = createRateLimiter({
+  max: REPORT_RATE_LIMIT,
+  windowMs: TRIGGER_RATE_WINDOW_MINUTES * 60 * 1000,
+});
+
+// Verify transporter configuration with timeout
+// Se verifican todos los transportes que lo permiten (http no tiene verify)
+async function verifyEmailConnection() {
+  let ready = true;
+  for (const transport of emailTransports.filter((item) => item.verify)) {
+    try {
+      logger.info("Attempting to verify email connection...", { transport: transport.name });
+      
+      // Create a timeout promise
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Verification timeout after 30s')), 30000)
+      );
+      
+      // Race between verify and timeout
+      await Promise.race([
+        transport.verify(),
+        timeoutPromise
+      ]);
+      
+      logger.info("Email transporter is ready", { transport: transport.name });
+      setTransportHealth(transport);
+    } catch (error) {
+      logger.error("Email transporter verification failed", {
+        transport: transport.name,
+        error: error.message,
+        hint: "This might be due to firewall/network restrictions in Railway; the email will still attempt to send when triggered"
+      });
+      setTransportHealth(transport, error);
+      ready = false;
+    }
   }
+  return ready;
 }
 
-// API Routes
+// Function to fetch data from API
+// Sigue todas las páginas de datastore_search y devuelve la misma forma que
+// una respuesta de CKAN ({ result: { records, total } }) con todos los registros.
+// Si la API falla, devuelve el último dataset bueno marcado con stale
+async function fetchApiData(filters = API_FILTERS) {
+  const cache = await loadApiCache();
+  const endTimer = metrics.apiFetchDuration.startTimer();
+  try {
+    const records = [];
+    const pages = [];
+    // datastore_search_sql no informa el total: sale de un COUNT previo
+    let total = API_DATE_RANGE_DAYS ? await fetchApiSqlTotal(filters) : null;
+    let page = null;
+    let offset = 0;
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({
-    status: "OK",
-    timestamp: new Date().toISOString(),
-    service: "API Report Mailer",
-  });
-});
+    do {
+      page = await fetchApiPage(offset, filters, cache);
+      pages.push(page);
+      records.push(...page.records);
+      offset += page.records.length;
 
-// Trigger report workflow endpoint
-app.post("/trigger-report", async (req, res) => {
-  try {
-    const result = await executeReportWorkflow();
+      // Un endpoint que no pagina (sin total) se toma como página única
+      if (!API_DATE_RANGE_DAYS) {
+        if (!page.data.result || typeof page.data.result.total !== "number") {
+          break;
+        }
+        total = page.data.result.total;
+      }
+      if (page.records.length === 0) {
+        break;
+      }
+    } while (offset < total);
 
-    res.json({
-      message: "Report workflow executed successfully",
-      result,
+    if (total !== null && records.length < total) {
+      throw new Error(
+        `Incomplete dataset: got ${records.length} of ${total} records`
+      );
+    }
+    const notModified = pages.filter((item) => item.notModified).length;
+    logger.info("Fetched API data", {
+      records: records.length,
+      pages: pages.length,
+      notModified,
     });
+    endTimer({ result: "success" });
+    metrics.recordsFetched.set(records.length);
+
+    await saveApiCache(pages);
+    return buildApiResponse(pages, records, total);
   } catch (error) {
-    console.error("Error in /trigger-report:", error.message);
-    res.status(500).json({
-      error: "Failed to execute report workflow",
+    logger.error("Error fetching API data", { error: error.message });
+
+    // Fallback: último dataset descargado completo, si no es demasiado viejo
+    const cacheAgeHours = cache
+      ? (Date.now() - new Date(cache.fetchedAt).getTime()) / 3600000
+      : Infinity;
+    if (cacheAgeHours <= API_FALLBACK_MAX_HOURS) {
+      logger.warn("Using last good dataset (stale data)", {
+        fetchedAt: cache.fetchedAt,
+      });
+      endTimer({ result: "stale" });
+      const records = cache.pages.flatMap((item) => item.records);
+      return {
+        ...buildApiResponse(cache.pages, records, cache.total),
+        stale: { fetchedAt: cache.fetchedAt, error: error.message },
+      };
+    }
+    endTimer({ result: "error" });
+    throw new Error(`Failed to fetch API data: ${error.message}`);
+  }
+}
+
+// Rebuild a single CKAN-like response from the fetched pages
+function buildApiResponse(pages, records, total) {
+  const data = pages.length > 0 ? pages[pages.length - 1].data : {};
+  return {
+    ...data,
+    result: { ...(data.result || {}), records, total },
+  };
+}
+
+// Quote a value or a column name for datastore_search_sql
+function quoteSqlValue(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function quoteSqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Function to build a datastore_search_sql query over the resource of
+// API_ENDPOINT: the exact-match filters plus the date range of
+// API_DATE_RANGE_DAYS (select: "*" o "COUNT(*) AS total")
+function buildApiSqlUrl(filters, select, page = null) {
+  const endpoint = new URL(process.env.API_ENDPOINT);
+  const resourceId = endpoint.searchParams.get("resource_id");
+  if (!resourceId) {
+    throw new Error("API_DATE_RANGE_DAYS requires resource_id in API_ENDPOINT");
+  }
+  const existing = endpoint.searchParams.get("filters");
+  const conditions = Object.entries({
+    ...(existing ? JSON.parse(existing) : {}),
+    ...(filters || {}),
+  }).map(([field, value]) =>
+    Array.isArray(value)
+      ? `${quoteSqlIdentifier(field)} IN (${value
+          .map(quoteSqlValue)
+          .join(", ")})`
+      : `${quoteSqlIdentifier(field)} = ${quoteSqlValue(value)}`
+  );
+  const dateFrom = getNow()
+    .subtract(API_DATE_RANGE_DAYS, "days")
+    .format("YYYY-MM-DD");
+  conditions.push(
+    `${quoteSqlIdentifier(REPORT_DEFINITION.dateField)} >= ${quoteSqlValue(
+      dateFrom
+    )}`
+  );
+
+  let sql = `SELECT ${select} FROM ${quoteSqlIdentifier(
+    resourceId
+  )} WHERE ${conditions.join(" AND ")}`;
+  if (page) {
+    sql += ` ORDER BY "_id" LIMIT ${page.limit} OFFSET ${page.offset}`;
+  }
+  const url = new URL(
+    endpoint.pathname.replace(/datastore_search$/, "datastore_search_sql"),
+    endpoint
+  );
+  url.searchParams.set("sql", sql);
+  return url;
+}
+
+// Function to get the number of records of the date-range query
+// (datastore_search_sql no informa el total como datastore_search)
+async function fetchApiSqlTotal(filters) {
+  const url = buildApiSqlUrl(filters, "COUNT(*) AS total");
+  const response = await withRetry("GET total", () =>
+    axios.get(url.toString(), { timeout: API_TIMEOUT_MS })
+  );
+  const [row] = (response.data.result && response.data.result.records) || [];
+  const total = row ? Number(row.total) : NaN;
+  if (!Number.isInteger(total)) {
+    throw new Error("API error: the date-range query returned no total");
+  }
+  return total;
+}
+
+// Function to fetch one page of the datastore, with the filters pushed down
+// to the API (igualdad exacta por campo, parámetro filters de CKAN; con
+// API_DATE_RANGE_DAYS, una consulta SQL con el rango de fechas)
+// Envía If-None-Match/If-Modified-Since y ante un 304 reutiliza la página
+// guardada en caché
+async function fetchApiPage(offset, filters, cache) {
+  let url;
+  if (API_DATE_RANGE_DAYS) {
+    url = buildApiSqlUrl(filters, "*", { limit: API_PAGE_SIZE, offset });
+  } else {
+    url = new URL(process.env.API_ENDPOINT);
+    url.searchParams.set("limit", API_PAGE_SIZE);
+    url.searchParams.set("offset", offset);
+    if (filters) {
+      const existing = url.searchParams.get("filters");
+      url.searchParams.set(
+        "filters",
+        JSON.stringify({
+          ...(existing ? JSON.parse(existing) : {}),
+          ...filters,
+        })
+      );
+    }
+  }
+
+  const cached = cache
+    ? cache.pages.find((item) => item.url === url.toString())
+    : null;
+  const headers = {
+    "Content-Type": "application/json",
+  };
+  if (cached && cached.etag) {
+    headers["If-None-Match"] = cached.etag;
+  }
+  if (cached && cached.lastModified) {
+    headers["If-Modified-Since"] = cached.lastModified;
+  }
+
+  const response = await withRetry(`GET page offset=${offset}`, () =>
+    axios.get(url.toString(), {
+      headers,
+      timeout: API_TIMEOUT_MS,
+      validateStatus: (status) =>
+        (status >= 200 && status < 300) || status === 304,
+    })
+  );
+
+  if (response.status === 304) {
+    return { ...cached, notModified: true };
+  }
+  if (response.data && response.data.success === false) {
+    throw new Error(
+      `API error: ${JSON.stringify(response.data.error || "unknown")}`
+    );
+  }
+
+  const data = response.data || {};
+  // SELECT * de datastore_search_sql incluye la columna interna _full_text
+  const records = (data.result ? data.result.records || [] : []).map(
+    ({ _full_text, ...record }) => record
+  );
+  return {
+    url: url.toString(),
+    etag: response.headers.etag || null,
+    lastModified: response.headers["last-modified"] || null,
+    // La página se guarda sin los registros, que van aparte
+    data: {
+      ...data,
+      result: data.result && { ...data.result, records: [] },
+    },
+    records,
+    notModified: false,
+  };
+}
+
+// Function to run a request with retries, exponential backoff and jitter
+// Sólo se reintentan errores de red, timeouts, 429 y 5xx
+async function withRetry(label, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const retryable = !status || status === 429 || status >= 500;
+      if (!retryable || attempt > API_RETRIES) {
+        throw error;
+      }
+
+      // Full jitter: espera aleatoria entre 0 y base * 2^(intento-1)
+      const waitTime = Math.round(
+        Math.random() * API_RETRY_BASE_MS * 2 ** (attempt - 1)
+      );
+      logger.warn(`${label} failed, retrying`, {
+        error: error.message,
+        attempt,
+        retries: API_RETRIES,
+        waitMs: waitTime,
+      });
+      metrics.apiRetries.inc();
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    }
+  }
+}
+
+// Function to load the cached API pages (last good dataset)
+async function loadApiCache() {
+  try {
+    return await readCompressedJson(API_CACHE_PATH);
+  } catch (error) {
+    logger.warn("Could not read API cache", { error: error.message });
+    return null;
+  }
+}
+
+// Function to store the fetched pages with their validators
+// (un error al guardar no debe hacer fallar una descarga exitosa)
+async function saveApiCache(pages) {
+  const last = pages[pages.length - 1];
+  try {
+    await writeCompressedJson(API_CACHE_PATH, {
+      fetchedAt: new Date().toISOString(),
+      total: last && last.data.result ? last.data.result.total : null,
+      pages: pages.map(({ notModified, ...item }) => item),
+    });
+  } catch (error) {
+    logger.warn("Could not save API cache", { error: error.message });
+  }
+}
+
+// Current moment in the report timezone
+function getNow() {
+  return moment.tz(REPORT_TIMEZONE);
+}
+
+// Get today's date (YYYY-MM-DD) in the report timezone
+function getToday() {
+  return getNow().format("YYYY-MM-DD");
+}
+
+// Day (YYYY-MM-DD) of a record's date field (fecha_vigencia) in the report
+// timezone
+function getRecordDate(item) {
+  // fecha_vigencia viene en hora local sin offset: se interpreta en la zona
+  // del reporte y no en la del servidor (Railway corre en UTC)
+  return moment
+    .tz(item[REPORT_DEFINITION.dateField], REPORT_TIMEZONE)
+    .format("YYYY-MM-DD");
+}
+
+// Function to parse the requested report window from date or from/to params
+function parseReportRange(params = {}) {
+  const { date, from, to } = params;
+  if (date && (from || to)) {
+    throw new Error("Use either date or from/to, not both");
+  }
+
+  const today = getToday();
+  const range = {
+    from: date || from || to || today,
+    to: date || to || (from ? today : null) || today,
+  };
+
+  [range.from, range.to].forEach((value) => {
+    if (!moment(value, "YYYY-MM-DD", true).isValid()) {
+      throw new Error(`Invalid date "${value}", expected format YYYY-MM-DD`);
+    }
+  });
+  if (range.from > range.to) {
+    throw new Error("from must be before or equal to to");
+  }
+  if (range.to > today) {
+    throw new Error(`Dates after today (${today}) are not allowed`);
+  }
+  const days = moment(range.to).diff(moment(range.from), "days") + 1;
+  if (days > MAX_REPORT_RANGE_DAYS) {
+    throw new Error(
+      `Date range too long (${days} days, max ${MAX_REPORT_RANGE_DAYS})`
+    );
+  }
+
+  return range;
+}
+
+// Function to parse the period of a digest: the week or month that contains
+// date (por defecto ayer, así el lunes cubre la semana que terminó), hasta
+// hoy como máximo
+function parseDigestRange(type, params = {}) {
+  const { date, from, to } = params;
+  if (from || to) {
+    throw new Error(`Use date to pick the ${type} digest period, not from/to`);
+  }
+
+  const today = getToday();
+  const reference =
+    date || moment(today).subtract(1, "day").format("YYYY-MM-DD");
+  if (!moment(reference, "YYYY-MM-DD", true).isValid()) {
+    throw new Error(`Invalid date "${reference}", expected format YYYY-MM-DD`);
+  }
+  if (reference > today) {
+    throw new Error(`Dates after today (${today}) are not allowed`);
+  }
+
+  const { unit } = DIGEST_TYPES[type];
+  const end = moment(reference).endOf(unit).format("YYYY-MM-DD");
+  return {
+    from: moment(reference).startOf(unit).format("YYYY-MM-DD"),
+    to: end > today ? today : end,
+  };
+}
+
+// Human readable label of a report range (DD/MM/YYYY)
+function formatRangeLabel(range) {
+  const from = moment(range.from).format("DD/MM/YYYY");
+  const to = moment(range.to).format("DD/MM/YYYY");
+  return from === to ? from : `${from} al ${to}`;
+}
+
+// Function to filter normalized records for the requested range (inclusive)
+function filterDataByRange(records, range) {
+  return records.filter((item) => {
+    const itemDate = getRecordDate(item);
+    return itemDate >= range.from && itemDate <= range.to;
+  });
+}
+
+// Function to validate and normalize the API records against the report
+// definition (ver lib/normalize.js), logging the rejected ones
+function normalizeRecords(rawRecords) {
+  const { records, rejected } = validateRecords(rawRecords, REPORT_DEFINITION);
+
+  if (rejected.total > 0 || rejected.cleared > 0) {
+    logger.warn("Records rejected by validation", {
+      rejected: rejected.total,
+      cleared: rejected.cleared,
+      records: rawRecords.length,
+      byReason: rejected.byReason,
+      clearedByField: rejected.clearedByField,
+    });
+  }
+  return { records, rejected };
+}
+
+// Default report definition: el reporte de precios de combustibles.
+// REPORT_DEFINITION_FILE apunta a un JSON que reemplaza cualquiera de estas
+// claves, para usar el servicio con otros datasets de CKAN
+// En los títulos, {periodo} se reemplaza por "Hoy", la fecha o el rango
+const DEFAULT_REPORT_DEFINITION = {
+  title: "Reporte de Precios de Combustibles",
+  subject: "🔴 Reporte Precios Combustibles",
+  footer: [
+    "Reporte generado automáticamente desde la API de datos.energia.gob.ar",
+    "Sistema de Monitoreo de Precios de Combustibles - Argentina",
+  ],
+  // Nombre de los archivos exportados (reporte-<slug>-<fecha>)
+  slug: "combustibles",
+  alertSubject: "🚨 Alertas de Precios Combustibles",
+  dateField: "fecha_vigencia",
+  valueField: "precio",
+  entityField: "idempresa",
+  entityNameField: "empresa",
+  entityLabel: "Estaciones",
+  brandField: "empresabandera",
+  brandLabel: "Marcas",
+  productField: "producto",
+  regionField: "provincia",
+  localityField: "localidad",
+  addressField: "direccion",
+  latitudeField: "latitud",
+  longitudeField: "longitud",
+  // Campos que distinguen dos series de precio de la misma estación y
+  // producto (se usa el primero que tenga valor)
+  variantFields: ["idtipohorario", "tipohorario"],
+  // Tipos de campos adicionales o que reemplazan a los de los campos de arriba
+  schema: {},
+  // Valores válidos de regionField (con null se acepta cualquier región) y
+  // otras grafías de regiones y marcas con su nombre canónico (las marcas
+  // desconocidas se conservan normalizadas)
+  regions: [
+    "BUENOS AIRES",
+    "CAPITAL FEDERAL",
+    "CATAMARCA",
+    "CHACO",
+    "CHUBUT",
+    "CORDOBA",
+    "CORRIENTES",
+    "ENTRE RIOS",
+    "FORMOSA",
+    "JUJUY",
+    "LA PAMPA",
+    "LA RIOJA",
+    "MENDOZA",
+    "MISIONES",
+    "NEUQUEN",
+    "RIO NEGRO",
+    "SALTA",
+    "SAN JUAN",
+    "SAN LUIS",
+    "SANTA CRUZ",
+    "SANTA FE",
+    "SANTIAGO DEL ESTERO",
+    "TIERRA DEL FUEGO",
+    "TUCUMAN",
+  ],
+  regionAliases: {
+    CABA: "CAPITAL FEDERAL",
+    "CIUDAD AUTONOMA DE BUENOS AIRES": "CAPITAL FEDERAL",
+    "CIUDAD DE BUENOS AIRES": "CAPITAL FEDERAL",
+    "TIERRA DEL FUEGO, ANTARTIDA E ISLAS DEL ATLANTICO SUR": "TIERRA DEL FUEGO",
+    "TIERRA DEL FUEGO ANTARTIDA E ISLAS DEL ATLANTICO SUR": "TIERRA DEL FUEGO",
+  },
+  brandAliases: {
+    SHELL: "SHELL C.A.P.S.A.",
+    "SHELL CAPSA": "SHELL C.A.P.S.A.",
+    RAIZEN: "SHELL C.A.P.S.A.",
+    "AXION ENERGY": "AXION",
+    "PUMA ENERGY": "PUMA",
+    "SIN BANDERA": "BLANCA",
+  },
+  // Columnas que describen un registro en las tablas de alertas, aumentos y
+  // calidad de datos
+  recordColumns: [
+    { field: "empresa", label: "Estación" },
+    { field: "localidad", label: "Localidad" },
+    { field: "provincia", label: "Provincia" },
+    { field: "empresabandera", label: "Marca" },
+    { field: "producto", label: "Producto" },
+  ],
+  dimensions: [
+    {
+      key: "byProduct",
+      field: "producto",
+      title: "📈 Nuevos Registros por Producto ({periodo})",
+      label: "Producto",
+      metrics: ["count", "activeStations", "percentage", "delta"],
+      export: { param: "product", sheet: "Productos", label: "Producto" },
+    },
+    {
+      key: "byProvince",
+      field: "provincia",
+      title: "🗺️ Nuevos Registros por Provincia ({periodo})",
+      label: "Provincia",
+      metrics: ["count", "activeStations", "percentage", "delta"],
+      export: { param: "province", sheet: "Provincias", label: "Provincia" },
+    },
+    {
+      key: "byFlagCompany",
+      field: "empresabandera",
+      title: "🏢 Nuevos Registros por Marca ({periodo})",
+      label: "Marca (Empresa Bandera)",
+      metrics: ["count", "activeStations", "percentage", "delta"],
+      export: { param: "brand", sheet: "Marcas", label: "Marca" },
+    },
+    {
+      key: "byLocality",
+      field: "localidad",
+      title: "🏘️ Top 10 Localidades con Más Actualizaciones",
+      label: "Localidad",
+      top: 10,
+      metrics: ["count", "activeStations"],
+      export: { param: "locality", sheet: "Localidades", label: "Localidad" },
+    },
+    // Sin título: se calcula (JSON, snapshots) pero no se muestra
+    { key: "byGasStation", field: "empresa", label: "Estación" },
+  ],
+  priceStats: {
+    key: "byProduct",
+    field: "producto",
+    title: "💲 Precios por Producto ({periodo})",
+    label: "Producto",
+    breakdowns: [
+      {
+        key: "byProductProvince",
+        field: "provincia",
+        title: "💲 Precios por Producto y Provincia ({periodo})",
+        label: "Provincia",
+      },
+      {
+        key: "byProductFlagCompany",
+        field: "empresabandera",
+        title: "💲 Precios por Producto y Marca ({periodo})",
+        label: "Marca (Empresa Bandera)",
+      },
+    ],
+  },
+  charts: [
+    {
+      type: "bar",
+      source: "byProductProvince",
+      title: "📊 Precio Promedio por Provincia ({periodo})",
+    },
+    {
+      type: "pie",
+      source: "byFlagCompany",
+      title: "🥧 Participación de Marcas ({periodo})",
+      top: 6,
+    },
+    {
+      type: "trend",
+      source: "byProduct",
+      title: "📉 Evolución del Precio Promedio (últimos 30 días)",
+      days: 30,
+    },
+  ],
+  // Resúmenes semanal y mensual: desglose de priceStats de los precios
+  // promedio, agrupación de las marcas más y menos activas y filas por tabla
+  digest: {
+    priceBreakdown: "byProductProvince",
+    brands: "byFlagCompany",
+    top: 10,
+  },
+  exportFields: [
+    "fecha_vigencia",
+    "provincia",
+    "localidad",
+    "empresa",
+    "empresabandera",
+    "direccion",
+    "producto",
+    "tipohorario",
+    "precio",
+    "idempresa",
+  ],
+};
+
+// Columns a dimension table can show
+const DIMENSION_METRICS = ["count", "activeStations", "percentage", "delta"];
+
+// Chart types and the analysis data each one is drawn from
+// (bar: un desglose de priceStats, pie: una agrupación, trend: priceStats)
+const CHART_TYPES = ["bar", "pie", "trend"];
+
+// Function to load the report definition from REPORT_DEFINITION_FILE
+// (claves no definidas toman el valor por defecto; DATE_FIELD reemplaza
+// dateField)
+async function loadReportDefinition() {
+  const custom = process.env.REPORT_DEFINITION_FILE
+    ? JSON.parse(await fs.readFile(process.env.REPORT_DEFINITION_FILE, "utf8"))
+    : {};
+  const definition = { ...DEFAULT_REPORT_DEFINITION, ...custom };
+  if (process.env.DATE_FIELD) {
+    definition.dateField = process.env.DATE_FIELD;
+  }
+  // El esquema sale de los campos ya resueltos (incluido DATE_FIELD)
+  definition.schema = buildRecordSchema(definition);
+
+  if (!Array.isArray(definition.dimensions)) {
+    throw new Error("Invalid report definition: dimensions must be an array");
+  }
+  definition.dimensions = definition.dimensions.map((dimension) => {
+    if (!dimension.key || !dimension.field) {
+      throw new Error(
+        `Invalid report definition: every dimension needs key and field (${JSON.stringify(
+          dimension
+        )})`
+      );
+    }
+    const metrics = dimension.metrics || ["count", "activeStations"];
+    const invalid = metrics.filter(
+      (metric) => !DIMENSION_METRICS.includes(metric)
+    );
+    if (invalid.length > 0) {
+      throw new Error(
+        `Invalid metrics ${invalid.join(", ")} in dimension ${
+          dimension.key
+        }, expected ${DIMENSION_METRICS.join(", ")}`
+      );
+    }
+    if (
+      dimension.top !== undefined &&
+      !(Number.isInteger(dimension.top) && dimension.top > 0)
+    ) {
+      throw new Error(`Invalid top in dimension ${dimension.key}`);
+    }
+    return { label: dimension.field, ...dimension, metrics };
+  });
+
+  definition.charts = (definition.charts || []).map((chart) => {
+    if (!CHART_TYPES.includes(chart.type)) {
+      throw new Error(
+        `Invalid chart type "${chart.type}", expected one of ${CHART_TYPES.join(
+          ", "
+        )}`
+      );
+    }
+    const { priceStats } = definition;
+    const sources =
+      chart.type === "pie"
+        ? definition.dimensions.map((dimension) => dimension.key)
+        : chart.type === "bar"
+        ? ((priceStats && priceStats.breakdowns) || []).map(
+            (breakdown) => breakdown.key
+          )
+        : priceStats
+        ? [priceStats.key]
+        : [];
+    if (!sources.includes(chart.source)) {
+      throw new Error(
+        `Invalid source "${chart.source}" in ${
+          chart.type
+        } chart, expected one of: ${sources.join(", ") || "(none)"}`
+      );
+    }
+    return { top: 6, days: 30, ...chart };
+  });
+
+  if (
+    !Array.isArray(definition.recordColumns) ||
+    definition.recordColumns.some((column) => !column.field || !column.label)
+  ) {
+    throw new Error(
+      "Invalid report definition: recordColumns must be an array of { field, label }"
+    );
+  }
+
+  if (definition.digest) {
+    const { priceBreakdown, brands, top = 10 } = definition.digest;
+    const breakdowns = (
+      (definition.priceStats && definition.priceStats.breakdowns) ||
+      []
+    ).map((breakdown) => breakdown.key);
+    if (priceBreakdown && !breakdowns.includes(priceBreakdown)) {
+      throw new Error(
+        `Invalid digest priceBreakdown "${priceBreakdown}", expected one of: ${
+          breakdowns.join(", ") || "(none)"
+        }`
+      );
+    }
+    if (
+      brands &&
+      !definition.dimensions.some((dimension) => dimension.key === brands)
+    ) {
+      throw new Error(`Invalid digest brands "${brands}", not a dimension key`);
+    }
+    if (!(Number.isInteger(top) && top > 0)) {
+      throw new Error("Invalid digest top, expected a positive integer");
+    }
+    definition.digest = { ...definition.digest, top };
+  }
+
+  Object.entries(definition.schema || {}).forEach(([field, rule]) => {
+    if (!FIELD_TYPES.includes(rule.type)) {
+      throw new Error(
+        `Invalid type "${
+          rule.type
+        }" for field ${field}, expected one of ${FIELD_TYPES.join(", ")}`
+      );
+    }
+  });
+  if (
+    definition.regions !== null &&
+    !(
+      Array.isArray(definition.regions) &&
+      definition.regions.every((region) => typeof region === "string")
+    )
+  ) {
+    throw new Error(
+      "Invalid report definition: regions must be null or an array of names"
+    );
+  }
+  ["regionAliases", "brandAliases"].forEach((key) => {
+    const aliases = definition[key] || {};
+    if (
+      typeof aliases !== "object" ||
+      Array.isArray(aliases) ||
+      !Object.values(aliases).every((name) => typeof name === "string")
+    ) {
+      throw new Error(
+        `Invalid report definition: ${key} must map spellings to names`
+      );
+    }
+  });
+
+  return definition;
+}
+
+const REPORT_DEFINITION = await loadReportDefinition();
+if (process.env.REPORT_DEFINITION_FILE) {
+  logger.info("Report definition loaded", {
+    file: process.env.REPORT_DEFINITION_FILE,
+    title: REPORT_DEFINITION.title,
+  });
+}
+
+// Report groupings compared against the previous snapshot
+const DELTA_GROUPS = REPORT_DEFINITION.dimensions
+  .filter((dimension) => dimension.metrics.includes("delta"))
+  .map((dimension) => dimension.key);
+
+// Numeric value of a record (the price, por defecto), or null if invalid
+function getRecordValue(item) {
+  return parsePrice(item[REPORT_DEFINITION.valueField]);
+}
+
+// Function to group data by field
+function groupDataBy(data, field) {
+  const grouped = {};
+  data.forEach((item) => {
+    const key = item[field] || "Sin especificar";
+    if (!grouped[key]) {
+      grouped[key] = [];
+    }
+    grouped[key].push(item);
+  });
+  return grouped;
+}
+
+// Percentiles reported for every price group
+const PRICE_PERCENTILES = [10, 25, 75, 90];
+
+// Parse a record price, returning null when it is missing or not positive
+function parsePrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+// Percentile with linear interpolation over an ascending sorted array
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const index = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return (
+    sortedValues[lower] +
+    (sortedValues[upper] - sortedValues[lower]) * (index - lower)
+  );
+}
+
+// Function to compute min, max, mean, median and percentiles of the prices
+function computePriceStats(records) {
+  const prices = records
+    .map(getRecordValue)
+    .filter((price) => price !== null)
+    .sort((a, b) => a - b);
+
+  if (prices.length === 0) {
+    return null;
+  }
+
+  const stats = {
+    count: prices.length,
+    min: prices[0],
+    max: prices[prices.length - 1],
+    mean: prices.reduce((sum, price) => sum + price, 0) / prices.length,
+    median: percentile(prices, 50),
+  };
+  PRICE_PERCENTILES.forEach((p) => {
+    stats[`p${p}`] = percentile(prices, p);
+  });
+  return stats;
+}
+
+// Function to compute price statistics per product and a second field
+function computePriceStatsBy(data, field, productField = "producto") {
+  const productGroups = groupDataBy(data, productField);
+  return Object.keys(productGroups)
+    .sort()
+    .map((product) => {
+      const groups = groupDataBy(productGroups[product], field);
+      return {
+        product,
+        rows: Object.keys(groups)
+          .map((name) => ({ name, stats: computePriceStats(groups[name]) }))
+          .filter((row) => row.stats !== null)
+          .sort((a, b) => a.stats.median - b.stats.median),
+      };
+    })
+    .filter((group) => group.rows.length > 0);
+}
+
+// Key of the product × province group used as price baseline
+function getBaselineKey(item) {
+  const { productField, regionField } = REPORT_DEFINITION;
+  return `${item[productField]}|${item[regionField]}`;
+}
+
+// Function to build the price distribution per product and province
+function buildPriceBaselines(records) {
+  const groups = {};
+  records.forEach((item) => {
+    const price = getRecordValue(item);
+    if (price === null) {
+      return;
+    }
+    const key = getBaselineKey(item);
+    (groups[key] = groups[key] || []).push(price);
+  });
+
+  const baselines = {};
+  Object.keys(groups).forEach((key) => {
+    const prices = groups[key].sort((a, b) => a - b);
+    if (prices.length < QUALITY_MIN_GROUP_SIZE) {
+      return;
+    }
+    const q1 = percentile(prices, 25);
+    const q3 = percentile(prices, 75);
+    baselines[key] = {
+      count: prices.length,
+      median: percentile(prices, 50),
+      lowerFence: q1 - QUALITY_IQR_FACTOR * (q3 - q1),
+      upperFence: q3 + QUALITY_IQR_FACTOR * (q3 - q1),
+    };
+  });
+  return baselines;
+}
+
+// Function to check a single record against its baseline and the clock
+function checkRecordQuality(item, baseline, today) {
+  const reasons = [];
+  const price = getRecordValue(item);
+
+  if (price !== null && baseline) {
+    const ratio = price / baseline.median;
+    if (ratio >= QUALITY_MEDIAN_RATIO || ratio <= 1 / QUALITY_MEDIAN_RATIO) {
+      reasons.push({
+        code: "median_ratio",
+        message: `Precio ${ratio.toFixed(
+          1
+        )}× la mediana provincial (${formatPrice(baseline.median)})`,
+      });
+    } else if (price < baseline.lowerFence || price > baseline.upperFence) {
+      reasons.push({
+        code: "iqr",
+        message: `Fuera del rango esperado (${formatPrice(
+          Math.max(baseline.lowerFence, 0)
+        )} - ${formatPrice(baseline.upperFence)})`,
+      });
+    }
+  }
+
+  // La fecha viene en hora local de Argentina, sin offset. Se compara por
+  // día para no marcar desfasajes de reloj de unas pocas horas
+  if (item[REPORT_DEFINITION.dateField] && getRecordDate(item) > today) {
+    reasons.push({
+      code: "future_date",
+      message: "Fecha de vigencia en el futuro",
+    });
+  }
+
+  return reasons;
+}
+
+// Function to flag suspicious records (price outliers and future dates)
+function detectDataQualityIssues(todayData, allData) {
+  const baselines = buildPriceBaselines(allData);
+  const today = getToday();
+  const todaySet = new Set(todayData);
+  const flagged = new Set();
+  const issues = [];
+
+  // Los precios se revisan en los registros del día; las fechas futuras en
+  // todo el dataset, porque esos registros nunca entran al filtro del día
+  allData.forEach((item) => {
+    const reasons = checkRecordQuality(
+      item,
+      todaySet.has(item) ? baselines[getBaselineKey(item)] : null,
+      today
+    );
+    if (reasons.length === 0) {
+      return;
+    }
+    flagged.add(item);
+    issues.push({ ...describeRecord(item), reasons });
+  });
+
+  return {
+    flagged,
+    summary: {
+      checkedRecords: todayData.length,
+      flaggedRecords: issues.length,
+      excludedFromStats: todayData.filter((item) => flagged.has(item)).length,
+      issues,
+    },
+  };
+}
+
+// Function to analyze data and create statistics
+function analyzeData(todayData, allData, definition = REPORT_DEFINITION) {
+  const { entityField, brandField } = definition;
+  const analysis = {
+    totalRecords: todayData.length,
+    gasStationStats: {
+      totalStations: 0,
+      activeStationsToday: 0,
+      activeStationsWithPrices: 0,
+      percentageActive: 0,
+      percentageWithPrices: 0,
+    },
+    flagCompanyStats: {
+      totalBrands: 0,
+      activeBrandsToday: 0,
+      activeBrandsWithPrices: 0,
+      percentageActive: 0,
+    },
+  };
+
+  // Group by every dimension of the report definition
+  definition.dimensions.forEach((dimension) => {
+    const groups = groupDataBy(todayData, dimension.field);
+    const rows = Object.keys(groups)
+      .map((name) => {
+        const records = groups[name];
+        // Count unique stations that updated this group
+        const activeStations = new Set(
+          records.map((item) => item[entityField]).filter(Boolean)
+        ).size;
+        return {
+          name,
+          count: records.length,
+          activeStations,
+          records,
+        };
+      })
+      .sort((a, b) => b.count - a.count);
+    analysis[dimension.key] = dimension.top
+      ? rows.slice(0, dimension.top)
+      : rows;
+  });
+
+  // Data quality: flagged records are excluded from the price statistics
+  const quality = detectDataQualityIssues(todayData, allData);
+  analysis.dataQuality = quality.summary;
+  const validPriceData = todayData.filter((item) => !quality.flagged.has(item));
+
+  // Price statistics per product and per product × each breakdown field
+  if (definition.priceStats) {
+    const { key, field, breakdowns = [] } = definition.priceStats;
+    const productPriceGroups = groupDataBy(validPriceData, field);
+    analysis.priceStats = {
+      [key]: Object.keys(productPriceGroups)
+        .map((product) => ({
+          name: product,
+          stats: computePriceStats(productPriceGroups[product]),
+        }))
+        .filter((row) => row.stats !== null)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    };
+    breakdowns.forEach((breakdown) => {
+      analysis.priceStats[breakdown.key] = computePriceStatsBy(
+        validPriceData,
+        breakdown.field,
+        field
+      );
+    });
+  }
+
+  // Calculate gas station statistics (Empresa = Estación de Servicio)
+  const totalUniqueStations = new Set(
+    allData.map((item) => item[entityField]).filter(Boolean)
+  );
+  const activeStationsToday = new Set(
+    todayData.map((item) => item[entityField]).filter(Boolean)
+  );
+  const activeStationsWithPrices = new Set(
+    todayData
+      .filter((item) => getRecordValue(item) !== null)
+      .map((item) => item[entityField])
+  );
+
+  analysis.gasStationStats = {
+    totalStations: totalUniqueStations.size,
+    activeStationsToday: activeStationsToday.size,
+    activeStationsWithPrices: activeStationsWithPrices.size,
+    percentageActive:
+      totalUniqueStations.size > 0
+        ? ((activeStationsToday.size / totalUniqueStations.size) * 100).toFixed(
+            2
+          )
+        : 0,
+    percentageWithPrices:
+      activeStationsToday.size > 0
+        ? (
+            (activeStationsWithPrices.size / activeStationsToday.size) *
+            100
+          ).toFixed(2)
+        : 0,
+  };
+
+  // Calculate flag company statistics (Empresa Bandera = Marca)
+  if (brandField) {
+    const activeBrandsToday = new Set(
+      todayData.map((item) => item[brandField]).filter(Boolean)
+    );
+    const activeBrandsWithPrices = new Set(
+      todayData
+        .filter((item) => getRecordValue(item) !== null)
+        .map((item) => item[brandField])
+    );
+
+    analysis.flagCompanyStats = {
+      totalBrands: activeBrandsToday.size,
+      activeBrandsToday: activeBrandsToday.size,
+      activeBrandsWithPrices: activeBrandsWithPrices.size,
+      percentageActive:
+        activeBrandsToday.size > 0
+          ? (
+              (activeBrandsWithPrices.size / activeBrandsToday.size) *
+              100
+            ).toFixed(2)
+          : 0,
+    };
+  }
+
+  return analysis;
+}
+
+// Strip the raw records from an analysis so it can be stored compactly
+function summarizeAnalysis(analysis) {
+  const summary = { ...analysis };
+  REPORT_DEFINITION.dimensions
+    .map((dimension) => dimension.key)
+    .filter((group) => Array.isArray(analysis[group]))
+    .forEach((group) => {
+      summary[group] = analysis[group].map(({ records, ...row }) => row);
+    });
+  return summary;
+}
+
+// Write a file atomically
+async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  // Escribir en un archivo temporal y renombrar para no dejar archivos a medias
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
+
+// Write a gzipped JSON file atomically
+async function writeCompressedJson(filePath, data) {
+  await writeFileAtomic(filePath, await gzip(JSON.stringify(data)));
+}
+
+// Read a gzipped JSON file, or null if it does not exist
+async function readCompressedJson(filePath) {
+  try {
+    const compressed = await fs.readFile(filePath);
+    return JSON.parse((await gunzip(compressed)).toString("utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Write a plain JSON file atomically
+async function writeJsonFile(filePath, data) {
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+// Read a plain JSON file, or null if it does not exist
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Las escrituras de cada archivo se encadenan para que dos requests
+// simultáneos no se pisen
+const jsonWriteQueues = new Map();
+
+// Function to read, modify and persist a JSON file in a serialized way
+function updateJsonFile(filePath, defaultValue, mutate) {
+  const previous = jsonWriteQueues.get(filePath) || Promise.resolve();
+  const result = previous.then(async () => {
+    const data = (await readJsonFile(filePath)) || defaultValue;
+    const value = mutate(data);
+    await writeJsonFile(filePath, data);
+    return value;
+  });
+  jsonWriteQueues.set(
+    filePath,
+    result.catch(() => {})
+  );
+  return result;
+}
+
+// Path of the snapshot file for a given day (YYYY-MM-DD)
+function getSnapshotPath(date) {
+  return path.join(SNAPSHOT_DIR, `${date}.json.gz`);
+}
+
+// Function to save the day's records and analysis to the snapshot store
+async function saveSnapshot(date, records, analysis) {
+  const snapshot = {
+    date,
+    savedAt: new Date().toISOString(),
+    totalRecords: records.length,
+    analysis: summarizeAnalysis(analysis),
+    records,
+  };
+
+  await writeCompressedJson(getSnapshotPath(date), snapshot);
+
+  logger.info("Snapshot saved", { date, records: records.length });
+  return snapshot;
+}
+
+// Function to load a stored snapshot, or null if the day has none
+async function loadSnapshot(date) {
+  try {
+    return await readCompressedJson(getSnapshotPath(date));
+  } catch (error) {
+    throw new Error(`Failed to load snapshot ${date}: ${error.message}`);
+  }
+}
+
+// Function to list the days available in the snapshot store (ascending)
+async function listSnapshots() {
+  try {
+    const files = await fs.readdir(SNAPSHOT_DIR);
+    return files
+      .filter((file) => /^\d{4}-\d{2}-\d{2}\.json\.gz$/.test(file))
+      .map((file) => file.slice(0, 10))
+      .sort();
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Function to load the most recent snapshot stored before a given day
+async function loadPreviousSnapshot(date) {
+  const previousDates = (await listSnapshots()).filter((day) => day < date);
+  if (previousDates.length === 0) {
+    return null;
+  }
+  return loadSnapshot(previousDates[previousDates.length - 1]);
+}
+
+// Average price per product of a stored (o del reporte actual) analysis
+function getAveragePrices(analysis) {
+  const rows =
+    (analysis.priceStats &&
+      analysis.priceStats[REPORT_DEFINITION.priceStats.key]) ||
+    [];
+  return Object.fromEntries(rows.map((row) => [row.name, row.stats.mean]));
+}
+
+// Function to load the price history for the trend chart: the average
+// price per product of each stored day in the last `days` up to the report
+async function loadPriceHistory(analysis, range, days) {
+  const from = moment(range.to)
+    .subtract(days - 1, "days")
+    .format("YYYY-MM-DD");
+  const isSingleDay = range.from === range.to;
+  const dates = (await listSnapshots()).filter(
+    (date) =>
+      date >= from && date <= range.to && !(isSingleDay && date === range.to)
+  );
+
+  const history = [];
+  for (const date of dates) {
+    const snapshot = await loadSnapshot(date);
+    if (snapshot) {
+      history.push({ date, prices: getAveragePrices(snapshot.analysis) });
+    }
+  }
+  // El día del reporte sale del análisis actual, esté guardado o no
+  if (isSingleDay) {
+    history.push({ date: range.to, prices: getAveragePrices(analysis) });
+  }
+  return history;
+}
+
+// Function to load the price history of the trend chart, if the report
+// definition has one and charts are enabled
+async function loadTrendHistory(analysis, range) {
+  const trendChart = REPORT_DEFINITION.charts.find(
+    (chart) => chart.type === "trend"
+  );
+  return trendChart && REPORT_CHARTS !== "off"
+    ? loadPriceHistory(analysis, range, trendChart.days)
+    : [];
+}
+
+// Function to add day-over-day deltas to the compared groupings
+function applyDayOverDayDeltas(analysis, previousSnapshot) {
+  analysis.comparison = previousSnapshot
+    ? { date: previousSnapshot.date }
+    : null;
+
+  DELTA_GROUPS.forEach((group) => {
+    const previousRows = new Map(
+      (previousSnapshot ? previousSnapshot.analysis[group] || [] : []).map(
+        (row) => [row.name, row]
+      )
+    );
+
+    analysis[group].forEach((row) => {
+      if (!previousSnapshot) {
+        row.delta = null;
+        return;
+      }
+      const previous = previousRows.get(row.name);
+      row.delta = {
+        count: row.count - (previous ? previous.count : 0),
+        activeStations:
+          row.activeStations - (previous ? previous.activeStations : 0),
+      };
+    });
+  });
+
+  return analysis;
+}
+
+// Subscriber filter name -> record field (los campos de la definición; un
+// filtro cuyo campo la definición no tiene no se ofrece)
+const SUBSCRIBER_FILTER_FIELDS = Object.fromEntries(
+  [
+    ["provincias", REPORT_DEFINITION.regionField],
+    ["productos", REPORT_DEFINITION.productField],
+    ["marcas", REPORT_DEFINITION.brandField],
+  ].filter(([, field]) => field)
+);
+
+// Function to load the subscribers store
+async function loadSubscribers() {
+  return (await readJsonFile(SUBSCRIBERS_PATH)) || [];
+}
+
+// Function to apply a change to the subscribers store and persist it
+function updateSubscribers(mutate) {
+  return updateJsonFile(SUBSCRIBERS_PATH, [], mutate);
+}
+
+// Function to validate and normalize the subscriber fields sent to the API
+function validateSubscriberInput(input, existing = null) {
+  const subscriber = existing ? { ...existing } : {};
+
+  if (input.email !== undefined || !existing) {
+    const email = String(input.email || "")
+      .trim()
+      .toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error("A valid email is required");
+    }
+    subscriber.email = email;
+  }
+  if (input.name !== undefined) {
+    subscriber.name = String(input.name).trim();
+  }
+  if (input.active !== undefined) {
+    subscriber.active = Boolean(input.active);
+  }
+
+  const filters = { ...(subscriber.filters || {}) };
+  Object.keys(SUBSCRIBER_FILTER_FIELDS).forEach((filter) => {
+    const value = input.filters ? input.filters[filter] : undefined;
+    if (value === undefined) {
+      filters[filter] = filters[filter] || [];
+      return;
+    }
+    if (
+      !Array.isArray(value) ||
+      value.some((item) => typeof item !== "string")
+    ) {
+      throw new Error(`filters.${filter} must be an array of strings`);
+    }
+    filters[filter] = value.map((item) => item.trim()).filter(Boolean);
+  });
+  subscriber.filters = filters;
+
+  return subscriber;
+}
+
+// Check whether a record (or alert) matches a subscriber's filters
+// Un filtro vacío no restringe; la comparación ignora mayúsculas
+function matchesFilters(item, filters) {
+  return Object.keys(SUBSCRIBER_FILTER_FIELDS).every((filter) => {
+    const values = filters[filter] || [];
+    // Sin distinguir mayúsculas ni acentos ("Córdoba" = "CORDOBA")
+    const value = normalizeName(item[SUBSCRIBER_FILTER_FIELDS[filter]]);
+    return (
+      values.length === 0 ||
+      values.some((allowed) => normalizeName(allowed) === value)
+    );
+  });
+}
+
+// Canonical key of a filter set, used to share one report between subscribers
+function getFilterSetKey(filters) {
+  return JSON.stringify(
+    Object.keys(SUBSCRIBER_FILTER_FIELDS).map((filter) =>
+      (filters[filter] || []).map((value) => value.toLowerCase()).sort()
+    )
+  );
+}
+
+// Names of the subscriber filters in the reports and the dashboard
+const FILTER_LABELS = {
+  provincias: "Provincia",
+  productos: "Producto",
+  marcas: "Marca",
+};
+
+// Human readable description of a filter set
+function describeFilters(filters) {
+  return Object.keys(SUBSCRIBER_FILTER_FIELDS)
+    .filter((filter) => (filters[filter] || []).length > 0)
+    .map((filter) => `${FILTER_LABELS[filter]}: ${filters[filter].join(", ")}`)
+    .join(" · ");
+}
+
+// HMAC signature that authorizes unsubscribing a subscriber id
+function signUnsubscribeToken(id) {
+  return crypto
+    .createHmac("sha256", UNSUBSCRIBE_SECRET)
+    .update(`unsubscribe:${id}`)
+    .digest("hex");
+}
+
+// Check an unsubscribe token in constant time
+function verifyUnsubscribeToken(id, token) {
+  return safeEqual(token || "", signUnsubscribeToken(id));
+}
+
+// Public unsubscribe link of a subscriber
+function getUnsubscribeUrl(subscriber) {
+  return `${PUBLIC_URL}/unsubscribe/${
+    subscriber.id
+  }?token=${signUnsubscribeToken(subscriber.id)}`;
+}
+
+// Key that identifies a price series: station, product and variant (el tipo
+// de horario en combustibles)
+function getPriceKey(item) {
+  const { entityField, productField, variantFields = [] } = REPORT_DEFINITION;
+  const variant = variantFields
+    .map((field) => item[field])
+    .find((value) => value !== null && value !== undefined && value !== "");
+  return [item[entityField], item[productField], variant || ""].join("|");
+}
+
+// Summary of a record kept in the price index, the alerts and the
+// data-quality issues: the columns of recordColumns, the fields used by the
+// subscriber filters and the parsed value
+function describeRecord(item) {
+  const {
+    recordColumns,
+    entityNameField,
+    productField,
+    valueField,
+    dateField,
+  } = REPORT_DEFINITION;
+  const summary = {};
+  [
+    ...recordColumns.map((column) => column.field),
+    ...Object.values(SUBSCRIBER_FILTER_FIELDS),
+    entityNameField,
+    productField,
+  ]
+    .filter(Boolean)
+    .forEach((field) => {
+      summary[field] = item[field];
+    });
+  summary[valueField] = getRecordValue(item);
+  summary[dateField] = item[dateField];
+  return summary;
+}
+
+// Function to build the latest known price per station and product
+function buildPriceIndex(records) {
+  const { entityField, valueField, dateField } = REPORT_DEFINITION;
+  const index = {};
+  records.forEach((item) => {
+    if (!item[entityField] || getRecordValue(item) === null) {
+      return;
+    }
+    const key = getPriceKey(item);
+    // Si hay más de un registro para la misma clave, quedarse con el más reciente
+    if (index[key] && index[key][dateField] >= item[dateField]) {
+      return;
+    }
+    index[key] = describeRecord(item);
+  });
+  return index;
+}
+
+// Function to load the price index saved by the last successful run
+async function loadPriceIndex() {
+  const stored = await readCompressedJson(PRICE_INDEX_PATH);
+  return stored ? stored.prices : null;
+}
+
+// Function to save the price index used as baseline for the next run
+async function savePriceIndex(index) {
+  await writeCompressedJson(PRICE_INDEX_PATH, {
+    savedAt: new Date().toISOString(),
+    prices: index,
+  });
+}
+
+// Function to parse an alert threshold from the environment
+// Sin definir usa el default; 0 o vacío lo desactivan (null)
+function parseAlertThreshold(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined) {
+    return defaultValue;
+  }
+  if (raw.trim() === "") {
+    return null;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(
+      `${name} must be a non-negative number (0 or empty disables it)`
+    );
+  }
+  return value === 0 ? null : value;
+}
+
+// Check whether a price change goes beyond any configured threshold
+function exceedsAlertThreshold(alert) {
+  if (alert.change === 0) {
+    return false;
+  }
+  return (
+    (ALERT_THRESHOLD_PERCENT !== null &&
+      Math.abs(alert.changePercent) > ALERT_THRESHOLD_PERCENT) ||
+    (ALERT_THRESHOLD_AMOUNT !== null &&
+      Math.abs(alert.change) > ALERT_THRESHOLD_AMOUNT)
+  );
+}
+
+// Function to detect station prices that moved beyond the alert thresholds
+function detectPriceChanges(previousIndex, currentIndex) {
+  if (!previousIndex) {
+    return [];
+  }
+
+  return Object.keys(currentIndex)
+    .filter((key) => previousIndex[key])
+    .map((key) => {
+      const { valueField, dateField } = REPORT_DEFINITION;
+      const previous = previousIndex[key];
+      const current = currentIndex[key];
+      const change = current[valueField] - previous[valueField];
+      return {
+        ...current,
+        previousPrice: previous[valueField],
+        previousDate: previous[dateField],
+        change,
+        changePercent: (change / previous[valueField]) * 100,
+      };
+    })
+    .filter(exceedsAlertThreshold)
+    .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+}
+
+// Latest dataset
+// Los registros normalizados de la última descarga de la API (la de cada
+// reporte o la de una consulta) quedan en memoria para las rutas de consulta
+const DATASET_MAX_AGE_MINUTES = parseInt(
+  process.env.DATASET_MAX_AGE_MINUTES || 60
+);
+let latestDataset = null;
+let datasetRefresh = null;
+
+// Function to keep the normalized records of the last API download
+function setLatestDataset(records, rejected, stale = null) {
+  latestDataset = {
+    records,
+    rejected,
+    stale,
+    loadedAt: new Date().toISOString(),
+  };
+  return latestDataset;
+}
+
+// Function to download the dataset again in the background (una sola
+// descarga a la vez: las llamadas simultáneas comparten la misma)
+function refreshLatestDataset() {
+  if (!datasetRefresh) {
+    datasetRefresh = (async () => {
+      try {
+        const apiData = await fetchApiData();
+        const { records, rejected } = normalizeRecords(apiData.result.records);
+        return setLatestDataset(records, rejected, apiData.stale || null);
+      } finally {
+        datasetRefresh = null;
+      }
+    })();
+  }
+  return datasetRefresh;
+}
+
+// Function to get the latest dataset for the read-only routes without
+// downloading it on each request
+// Si tiene más de DATASET_MAX_AGE_MINUTES se sirve igual y se refresca en
+// segundo plano. Recién arrancado se arma con la caché de páginas de la API
+// (api-cache.json.gz); sólo sin caché se espera la descarga
+async function getLatestDataset() {
+  if (!latestDataset) {
+    const cache = await loadApiCache();
+    if (cache && !latestDataset) {
+      const { records, rejected } = normalizeRecords(
+        cache.pages.flatMap((item) => item.records)
+      );
+      latestDataset = {
+        records,
+        rejected,
+        stale: null,
+        loadedAt: cache.fetchedAt,
+      };
+    }
+  }
+  if (!latestDataset) {
+    return refreshLatestDataset();
+  }
+
+  const maxAgeMs = DATASET_MAX_AGE_MINUTES * 60 * 1000;
+  if (Date.now() - Date.parse(latestDataset.loadedAt) >= maxAgeMs) {
+    refreshLatestDataset().catch((error) => {
+      logger.error("Dataset refresh failed", { error: error.message });
+    });
+  }
+  return latestDataset;
+}
+
+// Station search
+// Índice espacial en memoria (grilla de celdas de STATION_GRID_DEGREES
+// grados) con el último precio de cada estación, armado con el último
+// dataset descargado
+const STATION_GRID_DEGREES = 0.1;
+const STATIONS_DEFAULT_RADIUS_KM = parseFloat(
+  process.env.STATIONS_DEFAULT_RADIUS_KM || 5
+);
+const STATIONS_MAX_RADIUS_KM = parseFloat(
+  process.env.STATIONS_MAX_RADIUS_KM || 50
+);
+const STATIONS_MAX_RESULTS = 200;
+const EARTH_RADIUS_KM = 6371;
+let stationIndex = null;
+
+// Grid cell of a coordinate pair
+function getStationCellKey(lat, lon) {
+  return `${Math.floor(lat / STATION_GRID_DEGREES)}|${Math.floor(
+    lon / STATION_GRID_DEGREES
+  )}`;
+}
+
+// Valid coordinates of a record, or null (sin coordenadas o en 0,0)
+function getRecordCoordinates(item) {
+  const { latitudeField, longitudeField } = REPORT_DEFINITION;
+  if (!latitudeField || !longitudeField) {
+    return null;
+  }
+  const lat = Number(item[latitudeField]);
+  const lon = Number(item[longitudeField]);
+  if (
+    item[latitudeField] === null ||
+    item[longitudeField] === null ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lon) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lon) > 180 ||
+    (lat === 0 && lon === 0)
+  ) {
+    return null;
+  }
+  return { lat, lon };
+}
+
+// Great-circle distance in km (fórmula de haversine)
+function getDistanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Function to build the station index: one entry per station with its
+// current price per product and schedule, bucketed by grid cell
+function buildStationIndex(records) {
+  const definition = REPORT_DEFINITION;
+  const field = (item, key) => (definition[key] ? item[definition[key]] : null);
+  const stations = new Map();
+  records.forEach((item) => {
+    const id = item[definition.entityField];
+    const coordinates = getRecordCoordinates(item);
+    const price = getRecordValue(item);
+    if (!id || !coordinates || price === null) {
+      return;
+    }
+    if (!stations.has(id)) {
+      stations.set(id, {
+        id,
+        name: field(item, "entityNameField"),
+        brand: field(item, "brandField"),
+        address: field(item, "addressField"),
+        locality: field(item, "localityField"),
+        province: field(item, "regionField"),
+        ...coordinates,
+        prices: new Map(),
+      });
+    }
+    // Como en el índice de precios, vale el registro más reciente
+    const { prices } = stations.get(id);
+    const key = getPriceKey(item);
+    const updatedAt = item[definition.dateField];
+    if (prices.has(key) && prices.get(key).updatedAt >= updatedAt) {
+      return;
+    }
+    prices.set(key, {
+      product: item[definition.productField],
+      // El último campo de variante con valor es el nombre (tipohorario)
+      schedule:
+        (definition.variantFields || [])
+          .map((variantField) => item[variantField])
+          .filter(Boolean)
+          .pop() || null,
+      price,
+      updatedAt,
+    });
+  });
+
+  const cells = new Map();
+  stations.forEach((station) => {
+    const key = getStationCellKey(station.lat, station.lon);
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push({ ...station, prices: [...station.prices.values()] });
+  });
+  return { stations: stations.size, cells };
+}
+
+// Function to get the station index of the latest dataset (se rearma
+// cuando el dataset cambia)
+async function getStationIndex() {
+  const dataset = await getLatestDataset();
+  if (!stationIndex || stationIndex.dataset !== dataset) {
+    stationIndex = { ...buildStationIndex(dataset.records), dataset };
+    logger.info("Station index built", { stations: stationIndex.stations });
+  }
+  return stationIndex;
+}
+
+// Words of a product name or query, sin acentos ni signos
+function getProductWords(value) {
+  return normalizeName(value)
+    .replace(/[^A-Z0-9]+/g, " ")
+    .trim()
+    .split(" ");
+}
+
+// Function to find the stations within a radius, sorted by the cheapest
+// price of the requested product (o por distancia si no se pide producto)
+function findNearbyStations(index, { lat, lon, radiusKm, producto, limit }) {
+  const dLat = radiusKm / 111.32;
+  const dLon =
+    radiusKm / (111.32 * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+  const product = producto ? getProductWords(producto) : null;
+  const results = [];
+
+  for (
+    let row = Math.floor((lat - dLat) / STATION_GRID_DEGREES);
+    row <= Math.floor((lat + dLat) / STATION_GRID_DEGREES);
+    row++
+  ) {
+    for (
+      let column = Math.floor((lon - dLon) / STATION_GRID_DEGREES);
+      column <= Math.floor((lon + dLon) / STATION_GRID_DEGREES);
+      column++
+    ) {
+      (index.cells.get(`${row}|${column}`) || []).forEach((station) => {
+        const { prices: stationPrices, ...info } = station;
+        const distanceKm = getDistanceKm(lat, lon, station.lat, station.lon);
+        if (distanceKm > radiusKm) {
+          return;
+        }
+        const prices = stationPrices
+          .filter((item) => {
+            if (!product) {
+              return true;
+            }
+            // Sin espacios, así "gasoil" también encuentra "Gas Oil"
+            const name = getProductWords(item.product).join("");
+            return product.every((word) => name.includes(word));
+          })
+          .sort((a, b) => a.price - b.price);
+        if (prices.length === 0) {
+          return;
+        }
+        results.push({
+          ...info,
+          distanceKm: Number(distanceKm.toFixed(2)),
+          price: product ? prices[0].price : null,
+          lastUpdate: prices.reduce(
+            (latest, item) =>
+              item.updatedAt > latest ? item.updatedAt : latest,
+            prices[0].updatedAt
+          ),
+          prices,
+        });
+      });
+    }
+  }
+
+  results.sort((a, b) =>
+    product && a.price !== b.price
+      ? a.price - b.price
+      : a.distanceKm - b.distanceKm
+  );
+  return { total: results.length, stations: results.slice(0, limit) };
+}
+
+// Function to parse and validate the /stations/nearby query
+function parseNearbyQuery(query) {
+  const lat = Number(query.lat);
+  const lon = Number(query.lon);
+  if (query.lat === undefined || !Number.isFinite(lat) || Math.abs(lat) > 90) {
+    throw new Error("lat is required and must be between -90 and 90");
+  }
+  if (query.lon === undefined || !Number.isFinite(lon) || Math.abs(lon) > 180) {
+    throw new Error("lon is required and must be between -180 and 180");
+  }
+  const radiusKm =
+    query.radius === undefined
+      ? STATIONS_DEFAULT_RADIUS_KM
+      : Number(query.radius);
+  if (
+    !Number.isFinite(radiusKm) ||
+    radiusKm <= 0 ||
+    radiusKm > STATIONS_MAX_RADIUS_KM
+  ) {
+    throw new Error(
+      `radius must be a number of km greater than 0 and up to ${STATIONS_MAX_RADIUS_KM}`
+    );
+  }
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > STATIONS_MAX_RESULTS) {
+    throw new Error(
+      `limit must be an integer between 1 and ${STATIONS_MAX_RESULTS}`
+    );
+  }
+  // Un producto vacío (?producto=) no filtra; uno sin letras ni números no
+  // coincide con ningún nombre
+  const producto =
+    query.producto === undefined ? "" : String(query.producto).trim();
+  if (producto && !/[A-Z0-9]/.test(normalizeName(producto))) {
+    throw new Error("producto must contain letters or numbers");
+  }
+  return {
+    lat,
+    lon,
+    radiusKm,
+    producto: producto || null,
+    limit,
+  };
+}
+
+// Query API
+// Consultas de sólo lectura sobre el último dataset (/prices y /aggregates)
+// (los parámetros son los nombres de los campos de la definición)
+const QUERY_FILTER_FIELDS = [
+  REPORT_DEFINITION.regionField,
+  REPORT_DEFINITION.localityField,
+  REPORT_DEFINITION.productField,
+  REPORT_DEFINITION.brandField,
+].filter(Boolean);
+const PRICES_DEFAULT_LIMIT = 100;
+const PRICES_MAX_LIMIT = 1000;
+
+// Function to parse the field filters of a query (valores separados por
+// coma: ?provincia=CORDOBA,SANTA FE)
+function parseQueryFilters(query) {
+  const filters = {};
+  QUERY_FILTER_FIELDS.forEach((field) => {
+    if (query[field] === undefined) {
+      return;
+    }
+    const values = String(query[field])
+      .split(",")
+      .map((value) => normalizeName(value))
+      .filter(Boolean);
+    if (values.length > 0) {
+      filters[field] = values;
+    }
+  });
+  return filters;
+}
+
+// Check a record against the query filters (sin distinguir mayúsculas ni
+// acentos, como los filtros de suscriptores)
+function matchesQueryFilters(item, filters) {
+  return Object.entries(filters).every(([field, values]) =>
+    values.includes(normalizeName(item[field]))
+  );
+}
+
+// Date range of a query: only when date/from/to are given
+function parseQueryRange(query) {
+  return query.date || query.from || query.to ? parseReportRange(query) : null;
+}
+
+// Function to parse the sort and pagination of /prices
+// sort: un campo de las exportaciones, con "-" para orden descendente
+function parsePricesPaging(query) {
+  const sort = String(query.sort || `-${REPORT_DEFINITION.dateField}`);
+  const field = sort.replace(/^-/, "");
+  if (!EXPORT_RECORD_FIELDS.includes(field)) {
+    throw new Error(
+      `Invalid sort field "${field}", expected one of: ${EXPORT_RECORD_FIELDS.join(
+        ", "
+      )}`
+    );
+  }
+  const limit =
+    query.limit === undefined ? PRICES_DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > PRICES_MAX_LIMIT) {
+    throw new Error(
+      `limit must be an integer between 1 and ${PRICES_MAX_LIMIT}`
+    );
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error("offset must be a non-negative integer");
+  }
+  return { sort, field, descending: sort.startsWith("-"), limit, offset };
+}
+
+// Function to sort records by a field (el valor numérico se compara como
+// número; los vacíos van al final)
+function sortRecords(records, field, descending) {
+  const getValue =
+    field === REPORT_DEFINITION.valueField
+      ? getRecordValue
+      : (item) => item[field];
+  return [...records].sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (valueA === null || valueA === undefined) {
+      return valueB === null || valueB === undefined ? 0 : 1;
+    }
+    if (valueB === null || valueB === undefined) {
+      return -1;
+    }
+    const order =
+      typeof valueA === "number" && typeof valueB === "number"
+        ? valueA - valueB
+        : String(valueA).localeCompare(String(valueB), "es");
+    return descending ? -order : order;
+  });
+}
+
+// Function to get the records to analyze a range for the read-only routes
+// (vista previa, exportaciones, dashboard) sin descargar la API en cada
+// consulta: un día pasado con snapshot se lee del snapshot, porque el
+// dataset sólo conserva el último precio de cada estación; el resto sale
+// del último dataset
+async function getReportSource(range) {
+  if (range.from === range.to && range.from < getToday()) {
+    const snapshot = await loadSnapshot(range.from);
+    if (snapshot) {
+      return {
+        records: snapshot.records,
+        rejected: snapshot.analysis.rejectedRecords || null,
+        stale: null,
+        loadedAt: snapshot.savedAt,
+        snapshot,
+      };
+    }
+  }
+  return getLatestDataset();
+}
+
+// Records of a source in the range (los de un snapshot ya son los de su día,
+// tal como se guardaron)
+function getSourceRangeData(source, records, range) {
+  return source.snapshot ? records : filterDataByRange(records, range);
+}
+
+// Function to analyze the latest dataset (o el snapshot de getReportSource)
+// for a range and filters, with the same day-over-day deltas as the report
+async function analyzeLatestDataset(dataset, range, filters) {
+  const allData = dataset.records.filter((item) =>
+    matchesQueryFilters(item, filters)
+  );
+  const rangeData = getSourceRangeData(dataset, allData, range);
+  const analysis = analyzeData(rangeData, allData);
+  // Un snapshot sólo guarda los registros de su día: sin filtros, la
+  // cobertura es la calculada al guardarlo contra el dataset completo
+  if (dataset.snapshot && Object.keys(filters).length === 0) {
+    analysis.gasStationStats = dataset.snapshot.analysis.gasStationStats;
+    analysis.flagCompanyStats = dataset.snapshot.analysis.flagCompanyStats;
+  }
+
+  let previousSnapshot = null;
+  if (range.from === range.to) {
+    previousSnapshot = await loadPreviousSnapshot(range.from);
+    // Con filtros, el día anterior se recalcula sobre los mismos filtros
+    if (previousSnapshot && Object.keys(filters).length > 0) {
+      previousSnapshot = {
+        date: previousSnapshot.date,
+        analysis: analyzeData(
+          previousSnapshot.records.filter((item) =>
+            matchesQueryFilters(item, filters)
+          ),
+          []
+        ),
+      };
+    }
+  }
+  applyDayOverDayDeltas(analysis, previousSnapshot);
+  analysis.staleData = dataset.stale;
+  analysis.rejectedRecords = dataset.rejected;
+  return analysis;
+}
+
+// Template rendering
+// El reporte se arma con plantillas Handlebars (templates/, un partial por
+// bloque) y el CSS se aplica inline con juice, porque Gmail descarta el
+// bloque <style>. La versión de texto usa las mismas secciones
+const TEMPLATES_DIR =
+  process.env.TEMPLATES_DIR || path.join(APP_DIR, "templates");
+
+// Function to load and compile the HTML and plain-text templates
+// Cada formato tiene su propia instancia de Handlebars: el texto no se escapa
+async function loadTemplates() {
+  const html = Handlebars.create();
+  const text = Handlebars.create();
+  text.registerHelper("underline", (title, char) =>
+    [title, char.repeat(Array.from(title).length)].join("\n")
+  );
+  text.registerHelper("textTable", renderTextTable);
+
+  const partialsDir = path.join(TEMPLATES_DIR, "partials");
+  for (const file of await fs.readdir(partialsDir)) {
+    const source = await fs.readFile(path.join(partialsDir, file), "utf8");
+    if (file.endsWith(".txt.hbs")) {
+      text.registerPartial(path.basename(file, ".txt.hbs"), source);
+    } else if (file.endsWith(".hbs")) {
+      html.registerPartial(path.basename(file, ".hbs"), source);
+    }
+  }
+
+  const readTemplate = (file) =>
+    fs.readFile(path.join(TEMPLATES_DIR, file), "utf8");
+  const compileTemplates = async (name) => ({
+    html: html.compile(await readTemplate(`${name}.html.hbs`)),
+    text: text.compile(await readTemplate(`${name}.txt.hbs`), {
+      noEscape: true,
+    }),
+  });
+
+  // Cada resumen (weekly, monthly) tiene su propio template
+  const digests = {};
+  for (const type of Object.keys(DIGEST_TYPES)) {
+    digests[type] = await compileTemplates(type);
+  }
+  return {
+    ...(await compileTemplates("report")),
+    digests,
+    styles: await readTemplate("styles.css"),
+  };
+}
+
+const templates = await loadTemplates();
+
+// Render a table as aligned plain text
+function renderTextTable(columns, rows) {
+  const lines = [columns, ...rows.map((row) => row.map((item) => item.text))];
+  const widths = columns.map((column, index) =>
+    Math.max(...lines.map((line) => Array.from(String(line[index])).length))
+  );
+  const formatLine = (line) =>
+    line
+      .map((value, index) => {
+        const text = String(value);
+        return text + " ".repeat(widths[index] - Array.from(text).length);
+      })
+      .join(" | ")
+      .trimEnd();
+
+  return [
+    formatLine(columns),
+    widths.map((width) => "-".repeat(width)).join("-+-"),
+    ...lines.slice(1).map(formatLine),
+  ].join("\n");
+}
+
+// Function to render a report view as inlined HTML or plain text
+// (template: el del reporte diario o el de un resumen, templates.digests)
+function renderView(view, format = "html", template = templates) {
+  if (format === "text") {
+    return template.text(view).replace(/\n{3,}/g, "\n\n");
+  }
+  return juice(template.html({ ...view, styles: templates.styles }));
+}
+
+// Table cell: the text plus the optional classes used by the HTML template
+function cell(text, extra = {}) {
+  return { text: String(text), ...extra };
+}
+
+// Render a delta value as a colored cell
+function formatDelta(delta) {
+  if (!delta) {
+    return cell("—", { spanClass: "delta" });
+  }
+  const value = delta.count;
+  const className = value > 0 ? "delta up" : value < 0 ? "delta down" : "delta";
+  return cell(`${value > 0 ? "+" : ""}${value}`, { spanClass: className });
+}
+
+// Format a price in Argentine pesos
+function formatPrice(value) {
+  if (value === null || value === undefined) {
+    return "—";
+  }
+  return `${value < 0 ? "-" : ""}$${Math.abs(value).toLocaleString("es-AR", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+// Build a table of price statistics, one row per group
+function buildPriceStatsTable(rows, nameHeader, heading = null) {
+  const lowPercentiles = PRICE_PERCENTILES.slice(0, 2);
+  const highPercentiles = PRICE_PERCENTILES.slice(2);
+  return {
+    heading,
+    columns: [
+      nameHeader,
+      "Precios",
+      "Mínimo",
+      ...lowPercentiles.map((p) => `P${p}`),
+      "Mediana",
+      "Promedio",
+      ...highPercentiles.map((p) => `P${p}`),
+      "Máximo",
+    ],
+    rows: rows.map((row) => [
+      cell(row.name),
+      cell(row.stats.count),
+      cell(formatPrice(row.stats.min)),
+      ...lowPercentiles.map((p) => cell(formatPrice(row.stats[`p${p}`]))),
+      cell(formatPrice(row.stats.median), { strong: true }),
+      cell(formatPrice(row.stats.mean)),
+      ...highPercentiles.map((p) => cell(formatPrice(row.stats[`p${p}`]))),
+      cell(formatPrice(row.stats.max)),
+    ]),
+  };
+}
+
+// Render a price change as a colored amount and percentage
+function formatPriceChange(alert) {
+  const sign = alert.change > 0 ? "+" : "";
+  return cell(
+    `${sign}${formatPrice(alert.change)} (${sign}${alert.changePercent.toFixed(
+      1
+    )}%)`,
+    { spanClass: `delta ${alert.change > 0 ? "up" : "down"}` }
+  );
+}
+
+// Build the table of price-change alerts
+function buildPriceAlertsTable(alerts) {
+  const { recordColumns } = REPORT_DEFINITION;
+  const hiddenAlerts = alerts.length - ALERT_MAX_ROWS;
+  return {
+    columns: [
+      ...recordColumns.map((column) => column.label),
+      "Precio Anterior",
+      "Precio Nuevo",
+      "Variación",
+    ],
+    rows: alerts
+      .slice(0, ALERT_MAX_ROWS)
+      .map((alert) => [
+        ...recordColumns.map((column) => cell(alert[column.field])),
+        cell(formatPrice(alert.previousPrice)),
+        cell(formatPrice(alert[REPORT_DEFINITION.valueField])),
+        formatPriceChange(alert),
+      ]),
+    more: hiddenAlerts > 0 ? `... y ${hiddenAlerts} alertas más` : null,
+  };
+}
+
+// Function to generate the standalone price-change alert email
+function generateAlertReport(alerts, options = {}) {
+  const today = getNow().format("DD/MM/YYYY");
+  return renderView(
+    {
+      title: "🚨 Alertas de Cambio de Precio",
+      period: today,
+      subtitles: [`${alerts.length} variaciones detectadas el ${today}`],
+      sections: [{ tables: [buildPriceAlertsTable(alerts)] }],
+      footer: [
+        `Umbral configurado: ${describeAlertThresholds()}`,
+        REPORT_DEFINITION.footer[REPORT_DEFINITION.footer.length - 1],
+      ],
+    },
+    options.format
+  );
+}
+
+// Human readable description of the alert thresholds
+function describeAlertThresholds() {
+  return [
+    ALERT_THRESHOLD_PERCENT !== null ? `${ALERT_THRESHOLD_PERCENT}%` : null,
+    ALERT_THRESHOLD_AMOUNT !== null
+      ? formatPrice(ALERT_THRESHOLD_AMOUNT)
+      : null,
+  ]
+    .filter(Boolean)
+    .join(" o ");
+}
+
+// Build the data-quality section with the rejected and suspicious records
+// (una tabla sin columnas muestra sólo su texto introductorio)
+function buildDataQualitySection(dataQuality, rejectedRecords) {
+  const { recordColumns, valueField, dateField } = REPORT_DEFINITION;
+  const hiddenIssues = dataQuality.issues.length - QUALITY_MAX_ROWS;
+  const tables = [];
+
+  // Resumen de los registros descartados por la validación del esquema
+  if (rejectedRecords) {
+    const reasons = Object.entries(rejectedRecords.byReason).sort(
+      (a, b) => b[1] - a[1]
+    );
+    tables.push({
+      intro: `${rejectedRecords.total} registros del dataset fueron descartados por no cumplir el formato esperado y ${rejectedRecords.corrected} fueron corregidos (precios, fechas o nombres de provincia y marca normalizados).`,
+      columns: reasons.length > 0 ? ["Motivo del descarte", "Registros"] : null,
+      rows: reasons.map(([reason, count]) => [cell(reason), cell(count)]),
+    });
+  }
+  // Registros conservados con campos opcionales inválidos, que quedaron vacíos
+  // (los snapshots anteriores no tienen este resumen)
+  if (rejectedRecords && rejectedRecords.cleared > 0) {
+    tables.push({
+      intro: `${rejectedRecords.cleared} registros se conservaron con campos opcionales inválidos, que quedaron vacíos.`,
+      columns: ["Campo vaciado", "Registros"],
+      rows: Object.entries(rejectedRecords.clearedByField)
+        .sort((a, b) => b[1] - a[1])
+        .map(([field, count]) => [cell(field), cell(count)]),
+    });
+  }
+
+  tables.push({
+    intro: `${dataQuality.flaggedRecords} registros sospechosos detectados. ${dataQuality.excludedFromStats} de los ${dataQuality.checkedRecords} registros del período fueron excluidos de las estadísticas de precios.`,
+    columns:
+      dataQuality.issues.length > 0
+        ? [
+            ...recordColumns.map((column) => column.label),
+            "Precio",
+            "Fecha Vigencia",
+            "Motivo",
+          ]
+        : null,
+    rows: dataQuality.issues
+      .slice(0, QUALITY_MAX_ROWS)
+      .map((issue) => [
+        ...recordColumns.map((column) => cell(issue[column.field])),
+        cell(formatPrice(issue[valueField])),
+        cell(moment(issue[dateField]).format("DD/MM/YYYY HH:mm")),
+        cell(issue.reasons.map((reason) => reason.message).join("; ")),
+      ]),
+    more: hiddenIssues > 0 ? `... y ${hiddenIssues} registros más` : null,
+  });
+
+  return { title: "🔍 Calidad de Datos", tables };
+}
+
+// Replace the {periodo} placeholder of a report definition title
+function formatSectionTitle(title, periodTitle) {
+  return title.replace(/\{periodo\}/g, periodTitle);
+}
+
+// Build the table of a report dimension with the columns in its metrics
+function buildDimensionSection(analysis, dimension, periodTitle, deltaHeader) {
+  const columns = {
+    count: { header: "Precios Nuevos", value: (row) => cell(row.count) },
+    activeStations: {
+      header: `${REPORT_DEFINITION.entityLabel} Activas`,
+      value: (row) => cell(row.activeStations),
+    },
+    percentage: {
+      header: "Porcentaje del Total",
+      value: (row) =>
+        cell(`${((row.count / analysis.totalRecords) * 100).toFixed(1)}%`, {
+          tdClass: "percentage",
+        }),
+    },
+    delta: { header: deltaHeader, value: (row) => formatDelta(row.delta) },
+  };
+  const metrics = dimension.metrics.map((metric) => columns[metric]);
+
+  return {
+    title: formatSectionTitle(dimension.title, periodTitle),
+    tables: [
+      {
+        columns: [dimension.label, ...metrics.map((metric) => metric.header)],
+        rows: analysis[dimension.key].map((row) => [
+          cell(row.name),
+          ...metrics.map((metric) => metric.value(row)),
+        ]),
+      },
+    ],
+  };
+}
+
+// Build the price sections of the report definition
+function buildPriceStatsSections(priceStats, periodTitle) {
+  const definition = REPORT_DEFINITION.priceStats;
+  if (!definition || !priceStats) {
+    return [];
+  }
+
+  return [
+    {
+      title: formatSectionTitle(definition.title, periodTitle),
+      tables: [
+        buildPriceStatsTable(priceStats[definition.key], definition.label),
+      ],
+    },
+    ...(definition.breakdowns || []).map((breakdown) => ({
+      title: formatSectionTitle(breakdown.title, periodTitle),
+      tables: priceStats[breakdown.key].map((group) =>
+        buildPriceStatsTable(group.rows, breakdown.label, group.product)
+      ),
+    })),
+  ];
+}
+
+// Build a metrics table (Métrica / Valor / Descripción)
+function buildMetricsTable(rows) {
+  return {
+    columns: ["Métrica", "Valor", "Descripción"],
+    rows: rows.map(([name, value, description, isPercentage]) => [
+      cell(name),
+      cell(isPercentage ? `${value}%` : value, {
+        strong: true,
+        tdClass: isPercentage ? "percentage" : null,
+      }),
+      cell(description),
+    ]),
+  };
+}
+
+// Charts
+// Los gráficos se arman como SVG en el servidor (sin servicios externos).
+// En el email se adjuntan como PNG por CID (REPORT_CHARTS=png), porque Gmail
+// y Outlook no muestran SVG; la vista previa y el adjunto HTML usan el SVG
+const REPORT_CHARTS = process.env.REPORT_CHARTS || "png"; // png | svg | off
+const CHART_FONT_FILES = (process.env.CHART_FONT_FILES || "")
+  .split(",")
+  .map((file) => file.trim())
+  .filter(Boolean);
+const CHART_WIDTH = 640;
+const CHART_FONT = "Segoe UI, Helvetica, Arial, sans-serif";
+const CHART_COLORS = [
+  "#667eea",
+  "#28a745",
+  "#fd7e14",
+  "#dc3545",
+  "#17a2b8",
+  "#764ba2",
+  "#ffc107",
+  "#20c997",
+];
+const CHART_OTHER_COLOR = "#adb5bd";
+
+// Escape a value for SVG text and attributes
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Shorten a chart label that does not fit next to the bars or the legend
+function truncateLabel(label, maxLength) {
+  const chars = Array.from(String(label));
+  return chars.length > maxLength
+    ? `${chars.slice(0, maxLength - 1).join("")}…`
+    : chars.join("");
+}
+
+// Compact price for chart labels (sin centavos)
+function formatChartPrice(value) {
+  return `$${Math.round(value).toLocaleString("es-AR")}`;
+}
+
+// Wrap the chart elements in a standalone SVG document
+function renderSvg(width, height, elements) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${CHART_FONT}" font-size="12">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...elements,
+    "</svg>",
+  ].join("");
+}
+
+// Function to draw a horizontal bar chart of { label, value } rows
+function renderBarChart(rows) {
+  const labelWidth = 160;
+  const valueWidth = 80;
+  const rowHeight = 22;
+  const padding = 10;
+  const height = padding * 2 + rows.length * rowHeight;
+  const barArea = CHART_WIDTH - labelWidth - valueWidth;
+  const max = Math.max(...rows.map((row) => row.value));
+
+  const elements = rows.map((row, index) => {
+    const y = padding + index * rowHeight;
+    const width = max > 0 ? Math.max(1, (row.value / max) * barArea) : 1;
+    return [
+      `<text x="${labelWidth - 8}" y="${
+        y + 15
+      }" text-anchor="end" fill="#333333">${escapeXml(
+        truncateLabel(row.label, 24)
+      )}</text>`,
+      `<rect x="${labelWidth}" y="${y + 3}" width="${width.toFixed(
+        1
+      )}" height="${rowHeight - 6}" rx="2" fill="${CHART_COLORS[0]}"/>`,
+      `<text x="${(labelWidth + width + 6).toFixed(1)}" y="${
+        y + 15
+      }" fill="#555555">${escapeXml(formatChartPrice(row.value))}</text>`,
+    ].join("");
+  });
+  return { svg: renderSvg(CHART_WIDTH, height, elements), height };
+}
+
+// Function to draw a pie chart of { label, value, color } slices with legend
+function renderPieChart(slices) {
+  const radius = 100;
+  const center = radius + 20;
+  const legendX = center * 2 + 20;
+  const height = Math.max(center * 2, 20 + slices.length * 24);
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  const point = (angle) =>
+    `${(center + radius * Math.cos(angle)).toFixed(2)} ${(
+      center +
+      radius * Math.sin(angle)
+    ).toFixed(2)}`;
+
+  let angle = -Math.PI / 2;
+  const elements = slices.map((slice, index) => {
+    const fraction = slice.value / total;
+    const endAngle = angle + fraction * 2 * Math.PI;
+    const shape =
+      fraction >= 1
+        ? `<circle cx="${center}" cy="${center}" r="${radius}" fill="${slice.color}"/>`
+        : `<path d="M ${center} ${center} L ${point(
+            angle
+          )} A ${radius} ${radius} 0 ${fraction > 0.5 ? 1 : 0} 1 ${point(
+            endAngle
+          )} Z" fill="${slice.color}" stroke="#ffffff" stroke-width="1"/>`;
+    angle = endAngle;
+
+    const y = 20 + index * 24;
+    return [
+      shape,
+      `<rect x="${legendX}" y="${y}" width="14" height="14" rx="2" fill="${slice.color}"/>`,
+      `<text x="${legendX + 22}" y="${y + 12}" fill="#333333">${escapeXml(
+        `${truncateLabel(slice.label, 28)} — ${slice.percentage}%`
+      )}</text>`,
+    ].join("");
+  });
+  return { svg: renderSvg(CHART_WIDTH, height, elements), height };
+}
+
+// Function to draw a line chart: one series of values (o null) per date
+// (el eje X es proporcional a los días, así los días sin datos quedan como
+// un hueco; formatValue arma las etiquetas del eje Y, precios por defecto)
+function renderLineChart(dates, series, formatValue = formatChartPrice) {
+  const margin = { top: 20, right: 20, bottom: 40, left: 70 };
+  const plotHeight = 220;
+  const legendRows = Math.ceil(series.length / 2);
+  const height = margin.top + plotHeight + margin.bottom + legendRows * 20;
+  const plotWidth = CHART_WIDTH - margin.left - margin.right;
+  const values = series
+    .flatMap((item) => item.values)
+    .filter((value) => value !== null);
+  const spread = Math.max(...values) - Math.min(...values);
+  const padding = spread > 0 ? spread * 0.1 : Math.max(...values) * 0.05 || 1;
+  const min = Math.min(...values) - padding;
+  const max = Math.max(...values) + padding;
+  const totalDays = moment(dates[dates.length - 1]).diff(dates[0], "days");
+  const x = (index) =>
+    margin.left +
+    (totalDays > 0
+      ? (moment(dates[index]).diff(dates[0], "days") / totalDays) * plotWidth
+      : 0);
+  const y = (value) =>
+    margin.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+  const elements = [];
+  for (let step = 0; step <= 4; step++) {
+    const value = min + ((max - min) * step) / 4;
+    elements.push(
+      `<line x1="${margin.left}" x2="${CHART_WIDTH - margin.right}" y1="${y(
+        value
+      ).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="#e9ecef"/>`,
+      `<text x="${margin.left - 8}" y="${(y(value) + 4).toFixed(
+        1
+      )}" text-anchor="end" fill="#666666">${escapeXml(
+        formatValue(value)
+      )}</text>`
+    );
+  }
+  [...new Set([0, Math.floor((dates.length - 1) / 2), dates.length - 1])]
+    .filter((index) => index >= 0)
+    .forEach((index) => {
+      elements.push(
+        `<text x="${x(index).toFixed(1)}" y="${
+          margin.top + plotHeight + 18
+        }" text-anchor="middle" fill="#666666">${moment(dates[index]).format(
+          "DD/MM"
+        )}</text>`
+      );
+    });
+
+  series.forEach((item, seriesIndex) => {
+    // Los días sin dato cortan la línea en tramos
+    const segments = [[]];
+    item.values.forEach((value, index) => {
+      if (value === null) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(
+          `${x(index).toFixed(1)},${y(value).toFixed(1)}`
+        );
+      }
+    });
+    segments
+      .filter((segment) => segment.length > 0)
+      .forEach((segment) => {
+        elements.push(
+          segment.length === 1
+            ? `<circle cx="${segment[0].split(",")[0]}" cy="${
+                segment[0].split(",")[1]
+              }" r="3" fill="${item.color}"/>`
+            : `<polyline points="${segment.join(" ")}" fill="none" stroke="${
+                item.color
+              }" stroke-width="2"/>`
+        );
+      });
+
+    const legendX = margin.left + (seriesIndex % 2) * 280;
+    const legendY =
+      margin.top +
+      plotHeight +
+      margin.bottom +
+      Math.floor(seriesIndex / 2) * 20;
+    elements.push(
+      `<rect x="${legendX}" y="${legendY - 10}" width="14" height="4" fill="${
+        item.color
+      }"/>`,
+      `<text x="${legendX + 20}" y="${legendY - 4}" fill="#333333">${escapeXml(
+        truncateLabel(item.label, 40)
+      )}</text>`
+    );
+  });
+  return { svg: renderSvg(CHART_WIDTH, height, elements), height };
+}
+
+// Function to rasterize a chart SVG to PNG (al doble de resolución)
+function renderChartPng(svg) {
+  return new Resvg(svg, {
+    fitTo: { mode: "zoom", value: 2 },
+    font: { loadSystemFonts: true, fontFiles: CHART_FONT_FILES },
+  })
+    .render()
+    .asPng();
+}
+
+// Function to build the charts of a chart definition from the analysis
+// Cada gráfico lleva un texto alternativo, que es lo que muestra la versión
+// de texto del reporte
+function buildCharts(chart, analysis) {
+  if (chart.type === "bar") {
+    const groups = analysis.priceStats
+      ? analysis.priceStats[chart.source] || []
+      : [];
+    return groups.map((group) => {
+      const rows = group.rows
+        .map((row) => ({ label: row.name, value: row.stats.mean }))
+        .sort((a, b) => b.value - a.value);
+      const highest = rows[0];
+      const lowest = rows[rows.length - 1];
+      return {
+        heading: group.product,
+        alt: `${group.product}: promedio más alto en ${
+          highest.label
+        } (${formatPrice(highest.value)}) y más bajo en ${
+          lowest.label
+        } (${formatPrice(lowest.value)})`,
+        ...renderBarChart(rows),
+      };
+    });
+  }
+
+  if (chart.type === "pie") {
+    const rows = [...(analysis[chart.source] || [])].sort(
+      (a, b) => b.count - a.count
+    );
+    const total = rows.reduce((sum, row) => sum + row.count, 0);
+    if (total === 0) {
+      return [];
+    }
+    const slices = rows.slice(0, chart.top).map((row, index) => ({
+      label: row.name,
+      value: row.count,
+      color: CHART_COLORS[index % CHART_COLORS.length],
+    }));
+    const others = total - slices.reduce((sum, slice) => sum + slice.value, 0);
+    if (others > 0) {
+      slices.push({ label: "Otras", value: others, color: CHART_OTHER_COLOR });
+    }
+    slices.forEach((slice) => {
+      slice.percentage = ((slice.value / total) * 100).toFixed(1);
+    });
+    return [
+      {
+        heading: null,
+        alt: slices
+          .map((slice) => `${slice.label} ${slice.percentage}%`)
+          .join(", "),
+        ...renderPieChart(slices),
+      },
+    ];
+  }
+
+  // Trend: hace falta historial de al menos dos días
+  const history = analysis.priceHistory || [];
+  if (history.length < 2) {
+    return [];
+  }
+  const dates = history.map((day) => day.date);
+  const products = [
+    ...new Set(history.flatMap((day) => Object.keys(day.prices))),
+  ].sort();
+  const series = products.map((product, index) => ({
+    label: product,
+    color: CHART_COLORS[index % CHART_COLORS.length],
+    values: history.map((day) =>
+      day.prices[product] === undefined ? null : day.prices[product]
+    ),
+  }));
+  const describeSeries = (item) => {
+    const points = item.values
+      .map((value, index) => ({ value, date: dates[index] }))
+      .filter((entry) => entry.value !== null);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const change = (((last.value - first.value) / first.value) * 100).toFixed(
+      1
+    );
+    return `${item.label}: ${formatPrice(first.value)} el ${moment(
+      first.date
+    ).format("DD/MM")} → ${formatPrice(last.value)} el ${moment(
+      last.date
+    ).format("DD/MM")} (${change > 0 ? "+" : ""}${
+      Number(change) === 0 ? "0.0" : change
+    }%)`;
+  };
+  return [
+    {
+      heading: null,
+      alt: series.map(describeSeries).join("; "),
+      ...renderLineChart(dates, series),
+    },
+  ];
+}
+
+// Function to build the chart sections of the report definition
+function buildChartSections(analysis, periodTitle) {
+  if (REPORT_CHARTS === "off") {
+    return [];
+  }
+  return REPORT_DEFINITION.charts
+    .map((chart) => ({
+      title: formatSectionTitle(chart.title, periodTitle),
+      charts: buildCharts(chart, analysis).map((item, index) => ({
+        ...item,
+        id: `chart-${chart.type}-${chart.source}-${index}`,
+        width: CHART_WIDTH,
+      })),
+    }))
+    .filter((section) => section.charts.length > 0);
+}
+
+// Function to build the report view shared by the HTML and text templates
+// Options: filters (reporte personalizado) y unsubscribeUrl (link de baja)
+function buildReportView(analysis, range, options = {}) {
+  const filtersLabel = options.filters ? describeFilters(options.filters) : "";
+  const reportDate = getNow().format("DD/MM/YYYY HH:mm:ss");
+  const today = formatRangeLabel(range);
+  const isSingleDay = range.from === range.to;
+  const isToday = isSingleDay && range.to === getToday();
+  const { periodTitle, periodSuffix, periodNoun, deltaHeader } =
+    getPeriodLabels(range, analysis.comparison);
+  const { title, footer, entityLabel, brandField, brandLabel } =
+    REPORT_DEFINITION;
+  const entityName = entityLabel.toLowerCase();
+  const brandName = brandLabel.toLowerCase();
+  const { gasStationStats, flagCompanyStats } = analysis;
+
+  const view = {
+    title,
+    period: today,
+    subtitles: [
+      `Datos ${
+        isSingleDay ? "del día" : "del"
+      } ${today} | Generado el ${reportDate}`,
+      ...(filtersLabel ? [`Filtros: ${filtersLabel}`] : []),
+    ],
+    banner: analysis.staleData
+      ? {
+          title: "⚠️ Datos desactualizados:",
+          text: `la API de datos no respondió y este reporte usa los últimos datos descargados correctamente, del ${moment
+            .tz(analysis.staleData.fetchedAt, REPORT_TIMEZONE)
+            .format("DD/MM/YYYY HH:mm")}.`,
+        }
+      : null,
+    sectionsBefore: [],
+    cards: [
+      {
+        title: `Registros Nuevos ${periodSuffix}`,
+        description: `Actualizaciones de precios en ${periodNoun}`,
+        value: analysis.totalRecords,
+      },
+      {
+        title: `${entityLabel} Activas`,
+        description: `de ${gasStationStats.totalStations} ${entityName} totales`,
+        value: gasStationStats.activeStationsToday,
+      },
+      ...(brandField
+        ? [
+            {
+              title: `${brandLabel} Activas`,
+              description: `${brandLabel} que reportaron en ${periodNoun}`,
+              value: flagCompanyStats.activeBrandsToday,
+            },
+          ]
+        : []),
+      {
+        title: "Cobertura de Red",
+        description: `${entityLabel} activas del total`,
+        value: `${gasStationStats.percentageActive}%`,
+      },
+    ],
+    noData: null,
+    sections: [],
+    footer,
+    unsubscribeUrl: options.unsubscribeUrl || null,
+  };
+
+  if (
+    ["section", "both"].includes(ALERT_MODE) &&
+    analysis.priceAlerts &&
+    analysis.priceAlerts.length > 0
+  ) {
+    view.sectionsBefore.push({
+      title: `🚨 Alertas de Cambio de Precio (${analysis.priceAlerts.length})`,
+      paragraphs: [
+        `Estaciones con variaciones mayores a ${describeAlertThresholds()} respecto del último precio conocido`,
+      ],
+      tables: [buildPriceAlertsTable(analysis.priceAlerts)],
+    });
+  }
+
+  if (analysis.totalRecords > 0) {
+    view.sections.push(
+      ...buildChartSections(analysis, periodTitle),
+      ...REPORT_DEFINITION.dimensions
+        .filter((dimension) => dimension.title)
+        .map((dimension) =>
+          buildDimensionSection(analysis, dimension, periodTitle, deltaHeader)
+        ),
+      ...buildPriceStatsSections(analysis.priceStats, periodTitle),
+      {
+        title: `Estadísticas de Red de ${entityLabel}`,
+        tables: [
+          buildMetricsTable([
+            [
+              `Total de ${entityLabel} Registradas`,
+              gasStationStats.totalStations,
+              `${entityLabel} únicas en todo el sistema`,
+            ],
+            [
+              `${entityLabel} Activas ${periodSuffix}`,
+              gasStationStats.activeStationsToday,
+              `${entityLabel} que reportaron precios en ${periodNoun}`,
+            ],
+            [
+              `${entityLabel} con Precios Válidos`,
+              gasStationStats.activeStationsWithPrices,
+              `${entityLabel} con precios informados (> 0)`,
+            ],
+            [
+              "Cobertura de Red",
+              gasStationStats.percentageActive,
+              `Porcentaje de ${entityName} activas del total registrado`,
+              true,
+            ],
+            [
+              "Calidad de Información",
+              gasStationStats.percentageWithPrices,
+              `Porcentaje de ${entityName} activas con precios válidos`,
+              true,
+            ],
+          ]),
+        ],
+      }
+    );
+    if (brandField) {
+      view.sections.push({
+        title: `🏷️ Estadísticas de ${brandLabel}`,
+        tables: [
+          buildMetricsTable([
+            [
+              `${brandLabel} Activas ${periodSuffix}`,
+              flagCompanyStats.activeBrandsToday,
+              `${brandLabel} que reportaron precios en ${periodNoun}`,
+            ],
+            [
+              `${brandLabel} con Precios Válidos`,
+              flagCompanyStats.activeBrandsWithPrices,
+              `${brandLabel} con precios informados (> 0)`,
+            ],
+            [
+              `Calidad de Información de ${brandLabel}`,
+              flagCompanyStats.percentageActive,
+              `Porcentaje de ${brandName} activas con precios válidos`,
+              true,
+            ],
+          ]),
+        ],
+      });
+    }
+  } else {
+    view.noData = {
+      title: `No hay datos disponibles para ${
+        isToday ? "el día de hoy" : "el período solicitado"
+      }`,
+      text: `No se encontraron registros nuevos para la fecha ${today}`,
+    };
+  }
+
+  view.sections.push(
+    buildDataQualitySection(analysis.dataQuality, analysis.rejectedRecords)
+  );
+  return view;
+}
+
+// Period texts of the report titles ("Hoy", "del Día", "el período") and the
+// header of the day-over-day delta column
+function getPeriodLabels(range, comparison) {
+  const isSingleDay = range.from === range.to;
+  const isToday = isSingleDay && range.to === getToday();
+  return {
+    periodTitle: isToday ? "Hoy" : formatRangeLabel(range),
+    periodSuffix: isToday ? "Hoy" : isSingleDay ? "del Día" : "del Período",
+    periodNoun: isSingleDay ? "el día" : "el período",
+    deltaHeader: comparison
+      ? `Δ vs ${moment(comparison.date).format("DD/MM")}`
+      : "Δ vs día anterior",
+  };
+}
+
+// Function to generate the report, as inlined HTML (default) or plain text
+// Options: filters, unsubscribeUrl y format ("html" | "text")
+function generateReport(analysis, range = parseReportRange(), options = {}) {
+  return renderView(buildReportView(analysis, range, options), options.format);
+}
+
+// Function to render the report email: inlined HTML, plain text and, con
+// REPORT_CHARTS=png, the charts as PNG images attached by CID
+// (options.pngCache reutiliza los PNG entre emails con los mismos gráficos)
+function generateReportEmail(analysis, range, options = {}) {
+  const view = buildReportView(analysis, range, options);
+  const images = attachChartImages(view, options.pngCache);
+  return {
+    html: renderView(view),
+    text: renderView(view, "text"),
+    images,
+  };
+}
+
+// Function to replace the charts of a view with PNG images attached by CID
+// (con REPORT_CHARTS=png); returns the attachments
+function attachChartImages(view, pngCache = new Map()) {
+  const images = [];
+  if (REPORT_CHARTS === "png") {
+    view.sections
+      .flatMap((section) => section.charts || [])
+      .forEach((chart) => {
+        const cid = `${chart.id}@reporte`;
+        if (!pngCache.has(chart.svg)) {
+          pngCache.set(chart.svg, renderChartPng(chart.svg));
+        }
+        images.push({
+          filename: `${chart.id}.png`,
+          content: pngCache.get(chart.svg),
+          contentType: "image/png",
+          cid,
+          contentDisposition: "inline",
+        });
+        chart.src = `cid:${cid}`;
+      });
+  }
+  return images;
+}
+
+// Digest reports
+// Los resúmenes semanal y mensual no consultan la API: se arman con los
+// snapshots diarios guardados en el período
+
+// Function to load the stored snapshots of a digest period (ascending)
+async function loadDigestSnapshots(range) {
+  const dates = (await listSnapshots()).filter(
+    (date) => date >= range.from && date <= range.to
+  );
+  const snapshots = [];
+  for (const date of dates) {
+    const snapshot = await loadSnapshot(date);
+    if (snapshot) {
+      snapshots.push(snapshot);
+    }
+  }
+  return snapshots;
+}
+
+// Function to average the daily prices of a priceStats breakdown over a
+// digest period, weighted by the number of prices of each day, with the
+// change between the first and the last day with data
+function averageDigestPrices(snapshots, breakdownKey) {
+  const products = new Map();
+  snapshots.forEach(({ analysis }) => {
+    const groups =
+      (analysis.priceStats && analysis.priceStats[breakdownKey]) || [];
+    groups.forEach((group) => {
+      if (!products.has(group.product)) {
+        products.set(group.product, new Map());
+      }
+      const rows = products.get(group.product);
+      group.rows.forEach(({ name, stats }) => {
+        const row = rows.get(name) || {
+          name,
+          total: 0,
+          count: 0,
+          days: 0,
+          first: stats.mean,
+        };
+        row.total += stats.mean * stats.count;
+        row.count += stats.count;
+        row.days++;
+        row.last = stats.mean;
+        rows.set(name, row);
+      });
+    });
+  });
+
+  return [...products.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map((product) => ({
+      product,
+      rows: [...products.get(product).values()]
+        .map(({ name, total, count, days, first, last }) => ({
+          name,
+          count,
+          days,
+          mean: total / count,
+          first,
+          last,
+          change: days > 1 ? last - first : null,
+          changePercent: days > 1 ? ((last - first) / first) * 100 : null,
+        }))
+        .sort((a, b) => b.mean - a.mean),
+    }));
+}
+
+// Function to find the station price increases of a digest period: the
+// first and the last price of each station and product in the daily
+// snapshots (los registros marcados como sospechosos ese día no cuentan)
+function findDigestPriceIncreases(snapshots) {
+  const { entityNameField, productField, valueField, dateField } =
+    REPORT_DEFINITION;
+  const getIssueKey = (item, price) =>
+    [item[entityNameField], item[productField], item[dateField], price].join(
+      "|"
+    );
+  const first = {};
+  const last = {};
+  snapshots.forEach(({ analysis, records }) => {
+    const flagged = new Set(
+      ((analysis.dataQuality && analysis.dataQuality.issues) || []).map(
+        (issue) => getIssueKey(issue, issue[valueField])
+      )
+    );
+    const index = buildPriceIndex(
+      records.filter(
+        (item) => !flagged.has(getIssueKey(item, getRecordValue(item)))
+      )
+    );
+    Object.entries(index).forEach(([key, price]) => {
+      first[key] = first[key] || price;
+      last[key] = price;
+    });
+  });
+
+  return Object.keys(last)
+    .map((key) => {
+      const change = last[key][valueField] - first[key][valueField];
+      return {
+        ...last[key],
+        previousPrice: first[key][valueField],
+        previousDate: first[key][dateField],
+        change,
+        changePercent: (change / first[key][valueField]) * 100,
+      };
+    })
+    .filter((item) => item.change > 0)
+    .sort((a, b) => b.changePercent - a.changePercent);
+}
+
+// Function to add up the activity of each brand over a digest period from
+// the daily rows of a dimension (la más activa primero)
+function summarizeDigestBrands(snapshots, dimensionKey) {
+  const brands = new Map();
+  snapshots.forEach(({ analysis }) => {
+    (analysis[dimensionKey] || []).forEach((row) => {
+      const brand = brands.get(row.name) || {
+        name: row.name,
+        count: 0,
+        days: 0,
+        stations: 0,
+      };
+      brand.count += row.count;
+      brand.days++;
+      brand.stations += row.activeStations;
+      brands.set(row.name, brand);
+    });
+  });
+
+  return [...brands.values()]
+    .map(({ stations, ...brand }) => ({
+      ...brand,
+      activeStations: stations / snapshots.length,
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Function to build the digest of a period from its daily snapshots
+function analyzeDigest(snapshots, range, definition = REPORT_DEFINITION) {
+  if (!definition.digest) {
+    throw new Error("The report definition has no digest configuration");
+  }
+  const { priceBreakdown, brands } = definition.digest;
+
+  return {
+    range,
+    days: snapshots.map((snapshot) => snapshot.date),
+    periodDays: moment(range.to).diff(moment(range.from), "days") + 1,
+    totalRecords: snapshots.reduce(
+      (sum, snapshot) => sum + snapshot.totalRecords,
+      0
+    ),
+    averagePrices: priceBreakdown
+      ? averageDigestPrices(snapshots, priceBreakdown)
+      : [],
+    priceIncreases: findDigestPriceIncreases(snapshots),
+    brands: brands ? summarizeDigestBrands(snapshots, brands) : [],
+    coverage: snapshots.map(({ date, analysis }) => ({
+      date,
+      totalRecords: analysis.totalRecords,
+      ...analysis.gasStationStats,
+      activeBrands: analysis.flagCompanyStats.activeBrandsToday,
+    })),
+    priceHistory: definition.priceStats
+      ? snapshots.map(({ date, analysis }) => ({
+          date,
+          prices: getAveragePrices(analysis),
+        }))
+      : [],
+  };
+}
+
+// Build the table of average prices of one product over a digest period
+function buildDigestPricesTable(group, nameHeader) {
+  return {
+    heading: group.product,
+    columns: [
+      nameHeader,
+      "Precios",
+      "Promedio",
+      "Primer Día",
+      "Último Día",
+      "Variación",
+    ],
+    rows: group.rows.map((row) => [
+      cell(row.name),
+      cell(row.count),
+      cell(formatPrice(row.mean), { strong: true }),
+      cell(formatPrice(row.first)),
+      cell(formatPrice(row.last)),
+      row.change ? formatPriceChange(row) : cell("—", { spanClass: "delta" }),
+    ]),
+  };
+}
+
+// Build the table of the most or least active brands of a digest period
+function buildDigestBrandsTable(brands, heading, nameHeader) {
+  return {
+    heading,
+    columns: [
+      nameHeader,
+      "Precios Nuevos",
+      "Días con Actividad",
+      `${REPORT_DEFINITION.entityLabel} Activas por Día`,
+    ],
+    rows: brands.map((brand) => [
+      cell(brand.name),
+      cell(brand.count, { strong: true }),
+      cell(brand.days),
+      cell(brand.activeStations.toFixed(1)),
+    ]),
+  };
+}
+
+// Function to build the coverage section of a digest: the network coverage
+// of each day (gasStationStats) and its trend over the period
+function buildDigestCoverageSection(digest, type) {
+  const { entityLabel, brandLabel } = REPORT_DEFINITION;
+  const entityName = entityLabel.toLowerCase();
+  const days = digest.coverage.map((day) => ({
+    ...day,
+    percentage: parseFloat(day.percentageActive),
+  }));
+  const formatDay = (day) => moment(day.date).format("DD/MM");
+  const average =
+    days.reduce((sum, day) => sum + day.percentage, 0) / days.length;
+  const lowest = days.reduce((min, day) =>
+    day.percentage < min.percentage ? day : min
+  );
+  const highest = days.reduce((max, day) =>
+    day.percentage > max.percentage ? day : max
+  );
+  const first = days[0];
+  const last = days[days.length - 1];
+  const points = last.percentage - first.percentage;
+
+  const section = {
+    title: `📶 Cobertura de Red de ${entityLabel}`,
+    paragraphs: [
+      `Cobertura promedio de ${average.toFixed(2)}% (mínima de ${
+        lowest.percentageActive
+      }% el ${formatDay(lowest)}, máxima de ${
+        highest.percentageActive
+      }% el ${formatDay(highest)}).`,
+      ...(days.length > 1
+        ? [
+            `Entre el ${formatDay(first)} y el ${formatDay(last)} pasó de ${
+              first.percentageActive
+            }% a ${last.percentageActive}% (${
+              points > 0 ? "+" : ""
+            }${points.toFixed(2)} puntos).`,
+          ]
+        : []),
+    ],
+    charts: [],
+    tables: [
+      {
+        columns: [
+          "Fecha",
+          "Registros",
+          `${entityLabel} Activas`,
+          "Cobertura de Red",
+          "Calidad de Información",
+          ...(brandLabel ? [`${brandLabel} Activas`] : []),
+        ],
+        rows: days.map((day) => [
+          cell(moment(day.date).format("DD/MM/YYYY")),
+          cell(day.totalRecords),
+          cell(`${day.activeStationsToday} de ${day.totalStations}`),
+          cell(`${day.percentageActive}%`, {
+            strong: true,
+            tdClass: "percentage",
+          }),
+          cell(`${day.percentageWithPrices}%`, { tdClass: "percentage" }),
+          ...(brandLabel ? [cell(day.activeBrands)] : []),
+        ]),
+      },
+    ],
+  };
+
+  if (REPORT_CHARTS !== "off" && days.length > 1) {
+    section.charts.push({
+      heading: null,
+      alt: days
+        .map((day) => `${formatDay(day)} ${day.percentageActive}%`)
+        .join(", "),
+      ...renderLineChart(
+        days.map((day) => day.date),
+        [
+          {
+            label: `Cobertura (% de ${entityName} activas)`,
+            color: CHART_COLORS[0],
+            values: days.map((day) => day.percentage),
+          },
+        ],
+        (value) => `${value.toFixed(1)}%`
+      ),
+      id: `chart-${type}-coverage`,
+      width: CHART_WIDTH,
+    });
+  }
+  return section;
+}
+
+// Function to build the digest view shared by its HTML and text templates
+function buildDigestView(digest, type) {
+  const { label, noun } = DIGEST_TYPES[type];
+  const { title, footer, entityLabel, priceStats, dimensions } =
+    REPORT_DEFINITION;
+  const { priceBreakdown, brands, top } = REPORT_DEFINITION.digest;
+  const period = formatRangeLabel(digest.range);
+  const increases = digest.priceIncreases;
+  const [largestIncrease] = increases;
+  const averageCoverage =
+    digest.coverage.reduce(
+      (sum, day) => sum + parseFloat(day.percentageActive),
+      0
+    ) / digest.coverage.length;
+  const missingDays = digest.periodDays - digest.days.length;
+
+  const view = {
+    title: `${title} - ${label}`,
+    period,
+    subtitles: [
+      `Datos del ${period} | Generado el ${getNow().format(
+        "DD/MM/YYYY HH:mm:ss"
+      )}`,
+    ],
+    banner:
+      missingDays > 0
+        ? {
+            title: "⚠️ Período incompleto:",
+            text: `${missingDays} de los ${digest.periodDays} días de ${noun} no tienen datos diarios guardados y no se incluyen en el resumen.`,
+          }
+        : null,
+    sectionsBefore: [],
+    cards: [
+      {
+        title: "Registros del Período",
+        description: `Actualizaciones de precios en ${noun}`,
+        value: digest.totalRecords,
+      },
+      {
+        title: "Días con Datos",
+        description: `de ${digest.periodDays} días de ${noun}`,
+        value: digest.days.length,
+      },
+      {
+        title: "Cobertura Promedio",
+        description: `${entityLabel} activas por día del total`,
+        value: `${averageCoverage.toFixed(2)}%`,
+      },
+      {
+        title: "Mayor Aumento",
+        description: largestIncrease
+          ? `${largestIncrease[REPORT_DEFINITION.productField]} en ${
+              largestIncrease[REPORT_DEFINITION.entityNameField]
+            }`
+          : "Sin aumentos de precio en el período",
+        value: largestIncrease
+          ? `+${largestIncrease.changePercent.toFixed(1)}%`
+          : "—",
+      },
+    ],
+    noData: null,
+    sections: [],
+    footer,
+    unsubscribeUrl: null,
+  };
+
+  if (REPORT_CHARTS !== "off") {
+    const charts = buildCharts({ type: "trend" }, digest).map(
+      (item, index) => ({
+        ...item,
+        id: `chart-${type}-trend-${index}`,
+        width: CHART_WIDTH,
+      })
+    );
+    if (charts.length > 0) {
+      view.sections.push({
+        title: "📉 Evolución del Precio Promedio",
+        charts,
+      });
+    }
+  }
+
+  const breakdown =
+    priceBreakdown &&
+    priceStats.breakdowns.find((item) => item.key === priceBreakdown);
+  if (breakdown && digest.averagePrices.length > 0) {
+    view.sections.push({
+      title: `💲 Precio Promedio por Producto y ${breakdown.label}`,
+      paragraphs: [
+        "Promedio de los precios de cada día, ponderado por la cantidad de precios informados. La variación compara el promedio del primer y del último día con datos.",
+      ],
+      tables: digest.averagePrices.map((group) =>
+        buildDigestPricesTable(group, breakdown.label)
+      ),
+    });
+  }
+
+  const hiddenIncreases = increases.length - top;
+  view.sections.push({
+    title: `📈 Mayores Aumentos de Precio (${increases.length})`,
+    paragraphs: [
+      increases.length > 0
+        ? `${entityLabel} cuyo último precio de ${noun} supera al primero`
+        : `No hubo aumentos de precio en ${noun}`,
+    ],
+    tables:
+      increases.length > 0
+        ? [
+            {
+              ...buildPriceAlertsTable(increases.slice(0, top)),
+              more:
+                hiddenIncreases > 0
+                  ? `... y ${hiddenIncreases} aumentos más`
+                  : null,
+            },
+          ]
+        : [],
+  });
+
+  const brandDimension =
+    brands && dimensions.find((dimension) => dimension.key === brands);
+  if (brandDimension && digest.brands.length > 0) {
+    // Con pocas marcas, las menos activas no repiten las de la primera tabla
+    const leastActive = digest.brands
+      .slice(Math.max(top, digest.brands.length - top))
+      .reverse();
+    view.sections.push({
+      title: `🏢 Actividad por ${brandDimension.label}`,
+      tables: [
+        buildDigestBrandsTable(
+          digest.brands.slice(0, top),
+          "Más activas",
+          brandDimension.label
+        ),
+        ...(leastActive.length > 0
+          ? [
+              buildDigestBrandsTable(
+                leastActive,
+                "Menos activas",
+                brandDimension.label
+              ),
+            ]
+          : []),
+      ],
+    });
+  }
+
+  view.sections.push(buildDigestCoverageSection(digest, type));
+  return view;
+}
+
+// Function to render a digest email with the template of its type: inlined
+// HTML, plain text and the charts as PNG images attached by CID
+function generateDigestEmail(digest, type) {
+  const view = buildDigestView(digest, type);
+  const images = attachChartImages(view);
+  const template = templates.digests[type];
+  return {
+    html: renderView(view, "html", template),
+    text: renderView(view, "text", template),
+    images,
+  };
+}
+
+// Groupings included in the exports (one sheet / CSV table each)
+const EXPORT_GROUPS = REPORT_DEFINITION.dimensions
+  .filter((dimension) => dimension.export)
+  .map((dimension) => ({ key: dimension.key, ...dimension.export }));
+
+// Record fields included in the exports, in column order
+const EXPORT_RECORD_FIELDS = REPORT_DEFINITION.exportFields;
+
+// Function to build the table (columns and rows) of a grouping
+function buildGroupExportTable(analysis, group) {
+  return {
+    name: group.sheet,
+    columns: [
+      group.label,
+      "Precios Nuevos",
+      `${REPORT_DEFINITION.entityLabel} Activas`,
+      "Porcentaje del Total",
+      "Δ Precios Nuevos",
+    ],
+    rows: analysis[group.key].map((row) => [
+      row.name,
+      row.count,
+      row.activeStations,
+      analysis.totalRecords > 0
+        ? Number(((row.count / analysis.totalRecords) * 100).toFixed(1))
+        : 0,
+      row.delta ? row.delta.count : null,
+    ]),
+  };
+}
+
+// Function to build the table of the filtered records
+function buildRecordsExportTable(records) {
+  return {
+    name: "Registros",
+    columns: EXPORT_RECORD_FIELDS,
+    rows: records.map((item) =>
+      EXPORT_RECORD_FIELDS.map((field) =>
+        field === REPORT_DEFINITION.valueField
+          ? getRecordValue(item)
+          : item[field]
+      )
+    ),
+  };
+}
+
+// Function to serialize a table as CSV (UTF-8 with BOM so Excel reads accents)
+function generateCsv(table) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [table.columns, ...table.rows].map((row) =>
+    row.map(escape).join(",")
+  );
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// Function to build the JSON export (analysis without raw records + records)
+function generateJsonExport(analysis, records, range) {
+  return {
+    range,
+    generatedAt: getNow().format(),
+    timezone: REPORT_TIMEZONE,
+    analysis: summarizeAnalysis(analysis),
+    records,
+  };
+}
+
+// Function to build the XLSX workbook, one sheet per grouping plus records
+async function generateXlsx(analysis, records) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  EXPORT_GROUPS.map((group) => buildGroupExportTable(analysis, group))
+    .concat(buildRecordsExportTable(records))
+    .forEach((table) => {
+      const sheet = workbook.addWorksheet(table.name);
+      sheet.addRow(table.columns).font = { bold: true };
+      sheet.addRows(table.rows);
+      sheet.columns.forEach((column) => {
+        column.width = 20;
+      });
+    });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Base filename of the exports for a range
+function getExportFilename(range) {
+  return range.from === range.to
+    ? `reporte-${REPORT_DEFINITION.slug}-${range.from}`
+    : `reporte-${REPORT_DEFINITION.slug}-${range.from}_${range.to}`;
+}
+
+// Function to build the email attachments for the configured formats
+async function buildReportAttachments(report, formats = EMAIL_ATTACHMENTS) {
+  const { analysis, rangeData, range, reportContent } = report;
+  const filename = getExportFilename(range);
+  const attachments = [];
+
+  for (const format of formats) {
+    if (format === "csv") {
+      attachments.push({
+        filename: `${filename}.csv`,
+        content: generateCsv(buildRecordsExportTable(rangeData)),
+        contentType: "text/csv; charset=utf-8",
+      });
+    } else if (format === "json") {
+      attachments.push({
+        filename: `${filename}.json`,
+        content: JSON.stringify(
+          generateJsonExport(analysis, rangeData, range),
+          null,
+          2
+        ),
+        contentType: "application/json",
+      });
+    } else if (format === "xlsx") {
+      attachments.push({
+        filename: `${filename}.xlsx`,
+        content: await generateXlsx(analysis, rangeData),
+        contentType:
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      });
+    } else if (format === "html") {
+      attachments.push({
+        filename: `${filename}.html`,
+        content: reportContent,
+        contentType: "text/html; charset=utf-8",
+      });
+    } else {
+      logger.warn("Unknown attachment format, skipping", { format });
+    }
+  }
+
+  return attachments;
+}
+
+// Delivery log
+// Cada email enviado (o fallido) queda registrado: el índice con los datos
+// de cada envío en deliveries.json y el contenido renderizado (HTML, texto y
+// adjuntos) en deliveries/<id>.json.gz, para consultarlo y reenviarlo sin
+// volver a descargar los datos
+const DELIVERIES_PATH = path.join(DATA_DIR, "deliveries.json");
+const DELIVERY_DIR = path.join(DATA_DIR, "deliveries");
+const DELIVERY_RETENTION_DAYS = parseInt(
+  process.env.DELIVERY_RETENTION_DAYS || 90
+);
+const DELIVERY_TYPES = [
+  "report",
+  "subscriber",
+  "alert",
+  ...Object.keys(DIGEST_TYPES),
+];
+const DELIVERY_STATUSES = ["sent", "failed"];
+
+// Path of the stored content of a delivery
+function getDeliveryContentPath(id) {
+  return path.join(DELIVERY_DIR, `${id}.json.gz`);
+}
+
+// Split a recipient list ("a@x.com,b@y.com" or an array) into addresses
+function parseRecipients(value) {
+  return (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((address) => String(address).trim())
+    .filter(Boolean);
+}
+
+// Function to store a delivery and its content, pruning the entries older
+// than DELIVERY_RETENTION_DAYS
+async function recordDelivery(entry, content) {
+  await writeCompressedJson(getDeliveryContentPath(entry.id), content);
+
+  const cutoff = Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = await updateJsonFile(DELIVERIES_PATH, [], (deliveries) => {
+    deliveries.push(entry);
+    const expiredIds = deliveries
+      .filter((item) => Date.parse(item.createdAt) < cutoff)
+      .map((item) => item.id);
+    deliveries.splice(
+      0,
+      deliveries.length,
+      ...deliveries.filter((item) => !expiredIds.includes(item.id))
+    );
+    return expiredIds;
+  });
+  await Promise.all(
+    expired.map((id) => fs.rm(getDeliveryContentPath(id), { force: true }))
+  );
+}
+
+// Function to load the delivery log (newest first)
+async function loadDeliveries() {
+  const deliveries = (await readJsonFile(DELIVERIES_PATH)) || [];
+  return deliveries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Function to load a delivery with its stored content, or null
+async function loadDelivery(id) {
+  const delivery = (await loadDeliveries()).find((item) => item.id === id);
+  if (!delivery) {
+    return null;
+  }
+  return {
+    delivery,
+    content: await readCompressedJson(getDeliveryContentPath(id)),
+  };
+}
+
+// Function to parse the filters and paging of GET /deliveries
+// date: envíos cuyo rango incluye ese día; to: destinatario
+function parseDeliveriesQuery(query) {
+  const { date, type, status } = query;
+  if (date && !moment(date, "YYYY-MM-DD", true).isValid()) {
+    throw new Error("Invalid date, expected format YYYY-MM-DD");
+  }
+  if (type && !DELIVERY_TYPES.includes(type)) {
+    throw new Error(
+      `Invalid type "${type}", expected one of: ${DELIVERY_TYPES.join(", ")}`
+    );
+  }
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw new Error(
+      `Invalid status "${status}", expected one of: ${DELIVERY_STATUSES.join(
+        ", "
+      )}`
+    );
+  }
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw new Error("limit must be an integer between 1 and 500");
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error("offset must be a non-negative integer");
+  }
+  return {
+    date: date || null,
+    type: type || null,
+    status: status || null,
+    recipient: query.to ? String(query.to).trim().toLowerCase() : null,
+    limit,
+    offset,
+  };
+}
+
+// Check whether a delivery matches the GET /deliveries filters
+function matchesDeliveryQuery(delivery, query) {
+  return (
+    (!query.date ||
+      (delivery.range &&
+        delivery.range.from <= query.date &&
+        query.date <= delivery.range.to)) &&
+    (!query.type || delivery.type === query.type) &&
+    (!query.status || delivery.status === query.status) &&
+    (!query.recipient ||
+      delivery.to.some((address) => address.toLowerCase() === query.recipient))
+  );
+}
+
+// Function to send a stored delivery again, to its recipients or to others
+// (el link de baja de un suscriptor sólo va a sus propios destinatarios)
+async function resendDelivery({ delivery, content }, recipients = null) {
+  return sendEmail(content.html, {
+    to: (recipients || delivery.to).join(","),
+    subject: delivery.subject,
+    text: content.text,
+    attachments: content.attachments.map((attachment) => ({
+      filename: attachment.filename,
+      content: Buffer.from(attachment.content, "base64"),
+      ...(attachment.contentType && { contentType: attachment.contentType }),
+      ...(attachment.cid && { cid: attachment.cid }),
+      ...(attachment.contentDisposition && {
+        contentDisposition: attachment.contentDisposition,
+      }),
+    })),
+    unsubscribeUrl: recipients ? null : content.unsubscribeUrl,
+    delivery: {
+      type: delivery.type,
+      range: delivery.range,
+      subscriberId: delivery.subscriberId,
+      resendOf: delivery.id,
+    },
+  });
+}
+
+// Function to send email with retry logic
+async function sendEmail(reportContent, options = {}) {
+  const today = getNow().format("DD/MM/YYYY");
+  const {
+    retries = 3,
+    to = process.env.EMAIL_RECIPIENTS,
+    subject = `${REPORT_DEFINITION.subject} - ${today}`,
+    text = `${REPORT_DEFINITION.title} del ${today}. Ver la versión HTML de este email para el reporte completo.`,
+    attachments = [],
+    unsubscribeUrl = null,
+    dryRun = false,
+    delivery = null,
+  } = options;
+  const mailOptions = {
+    from: EMAIL_FROM,
+    to,
+    subject,
+    text,
+    html: reportContent,
+    attachments,
+    // Baja en un click (RFC 8058): el cliente hace POST al link de baja
+    ...(unsubscribeUrl && {
+      list: { unsubscribe: unsubscribeUrl },
+      headers: { "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+    }),
+  };
+
+  // Dry run: se arma el email completo pero no se llama a los transportes
+  if (dryRun) {
+    logger.info("Dry run: email not sent", { to, subject });
+    return {
+      success: true,
+      dryRun: true,
+      messageId: null,
+      mailOptions: {
+        from: mailOptions.from,
+        to: mailOptions.to,
+        subject: mailOptions.subject,
+        htmlLength: reportContent.length,
+        attachments: attachments.map((attachment) => attachment.filename),
+      },
+    };
+  }
+
+  // Registro del envío en el delivery log (delivery: type, range,
+  // subscriberId, resendOf); un error al guardarlo no cambia el resultado
+  const attempts = [];
+  const logDelivery = async (fields) => {
+    if (!delivery) {
+      return null;
+    }
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      type: delivery.type,
+      range: delivery.range || null,
+      to: parseRecipients(to),
+      subject,
+      ...fields,
+      attempts,
+      attachments: attachments.map((attachment) => attachment.filename),
+      subscriberId: delivery.subscriberId || null,
+      resendOf: delivery.resendOf || null,
+    };
+    try {
+      await recordDelivery(entry, {
+        html: reportContent,
+        text,
+        unsubscribeUrl,
+        attachments: attachments.map((attachment) => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType || null,
+          cid: attachment.cid || null,
+          contentDisposition: attachment.contentDisposition || null,
+          content: Buffer.from(attachment.content).toString("base64"),
+        })),
+      });
+      return entry.id;
+    } catch (error) {
+      logger.warn("Could not record delivery", { error: error.message });
+      return null;
+    }
+  };
+
+  // Failover: cuando un transporte agota sus reintentos se pasa al siguiente
+  let lastError = null;
+  for (const transport of emailTransports) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const attemptEntry = {
+        transport: transport.name,
+        attempt,
+        at: new Date().toISOString(),
+        error: null,
+      };
+      attempts.push(attemptEntry);
+      try {
+        logger.info("Sending email attempt", {
+          to,
+          transport: transport.name,
+          attempt,
+          retries,
+        });
+        const info = await transport.send(mailOptions);
+        metrics.emailAttempts.inc({
+          transport: transport.name,
+          result: "success",
+        });
+        setTransportHealth(transport);
+        logger.info("Email sent successfully", {
+          to,
+          transport: transport.name,
+          messageId: info.messageId,
+          response: info.response,
+        });
+        const deliveryId = await logDelivery({
+          status: "sent",
+          transport: transport.name,
+          messageId: info.messageId,
+          error: null,
+        });
+        return {
+          success: true,
+          messageId: info.messageId,
+          transport: transport.name,
+          deliveryId,
+        };
+      } catch (error) {
+        attemptEntry.error = error.message;
+        metrics.emailAttempts.inc({
+          transport: transport.name,
+          result: "failure",
+        });
+        logger.error("Email attempt failed", {
+          to,
+          transport: transport.name,
+          attempt,
+          error: error.message,
+          code: error.code,
+          command: error.command,
+        });
+
+        if (attempt < retries) {
+          const waitTime = attempt * 2000; // Espera incremental: 2s, 4s, 6s
+          logger.info("Waiting before retrying email", { waitMs: waitTime });
+          await new Promise((resolve) => setTimeout(resolve, waitTime));
+        } else {
+          logger.error("All email retry attempts exhausted", {
+            to,
+            transport: transport.name,
+          });
+          setTransportHealth(transport, error);
+          lastError = error;
+        }
+      }
+    }
+  }
+
+  metrics.emailFailures.inc();
+  const deliveryId = await logDelivery({
+    status: "failed",
+    transport: null,
+    messageId: null,
+    error: lastError.message,
+  });
+  throw Object.assign(
+    new Error(
+      `Failed to send email after ${retries} attempts with ${EMAIL_TRANSPORTS.join(
+        ", "
+      )}: ${lastError.message}`
+    ),
+    { deliveryId }
+  );
+}
+
+// Default step runner: just runs the step (jobs replace it to track timings)
+function runStep(name, fn) {
+  return fn();
+}
+
+// Function to fetch, analyze and render the report for a range
+// Con persist=false no se escriben snapshots (vista previa y dry run)
+async function prepareReport(range, { persist = true, step = runStep } = {}) {
+  const isSingleDay = range.from === range.to;
+  const isCurrent = range.to === getToday();
+
+  // Step 1: Fetch data from API
+  const apiData = await step("fetch", () => {
+    logger.info("Fetching data from API");
+    return fetchApiData();
+  });
+
+  // Step 2: Validate and normalize the records
+  const { records: allData, rejected } = await step("normalize", () => {
+    if (!apiData || !apiData.result || !Array.isArray(apiData.result.records)) {
+      logger.warn("Data structure not as expected, returning empty array");
+      return normalizeRecords([]);
+    }
+    logger.info("Normalizing records");
+    return normalizeRecords(apiData.result.records);
+  });
+  metrics.recordsRejected.set(rejected.total);
+  setLatestDataset(allData, rejected, apiData.stale || null);
+
+  // Step 3: Filter and analyze the data for the requested range
+  const { rangeData, analysis, previousSnapshot, currentPrices } = await step(
+    "filter",
+    async () => {
+      logger.info("Filtering data for the report range", range);
+      const rangeData = filterDataByRange(allData, range);
+      if (isSingleDay && isCurrent) {
+        metrics.recordsToday.set(rangeData.length);
+      }
+      const analysis = analyzeData(rangeData, allData);
+      analysis.staleData = apiData.stale || null;
+      analysis.rejectedRecords = rejected;
+
+      // Compare against the previous snapshot and store this day's
+      // (sólo para reportes de un único día; los rangos no generan snapshot)
+      let previousSnapshot = null;
+      if (isSingleDay) {
+        previousSnapshot = await loadPreviousSnapshot(range.from);
+        applyDayOverDayDeltas(analysis, previousSnapshot);
+        // Sólo se guarda el snapshot de hoy: el dataset conserva el último
+        // precio de cada estación, así que re-correr un día pasado pisaría
+        // su snapshot con precios posteriores. Los datos de respaldo tampoco
+        // quedan como snapshot: el reporte con datos frescos lo guarda
+        if (persist && !apiData.stale && range.from === getToday()) {
+          await saveSnapshot(range.from, rangeData, analysis);
+        }
+      } else {
+        applyDayOverDayDeltas(analysis, null);
+      }
+
+      analysis.priceHistory = await loadTrendHistory(analysis, range);
+
+      // Detect price changes against the last known prices
+      // (sólo cuando el reporte llega hasta hoy: un backfill no genera alertas)
+      const currentPrices = buildPriceIndex(allData);
+      analysis.priceAlerts =
+        ALERT_MODE === "off" || !isCurrent
+          ? []
+          : detectPriceChanges(await loadPriceIndex(), currentPrices);
+      logger.info("Price-change alerts detected", {
+        alerts: analysis.priceAlerts.length,
+      });
+
+      return { rangeData, analysis, previousSnapshot, currentPrices };
+    }
+  );
+
+  // Step 4: Generate report (vista previa y adjunto HTML)
+  const reportContent = await step("generate", () => {
+    logger.info("Generating report");
+    return generateReport(analysis, range);
+  });
+
+  return {
+    range,
+    isCurrent,
+    rangeData,
+    allData,
+    previousSnapshot,
+    analysis,
+    currentPrices,
+    reportContent,
+  };
+}
+
+// Build the email text part: the plain-text report plus the attached files
+function buildReportEmailText(reportText, attachments) {
+  return attachments.length > 0
+    ? `${reportText}\nArchivos adjuntos: ${attachments
+        .map((attachment) => attachment.filename)
+        .join(", ")}\n`
+    : reportText;
+}
+
+// Subject of the report email, flagged when the data is a stale fallback
+function getReportSubject(rangeLabel, analysis) {
+  return `${REPORT_DEFINITION.subject} - ${rangeLabel}${
+    analysis.staleData ? " (datos desactualizados)" : ""
+  }`;
+}
+
+// Function to analyze the report data restricted to a filter set
+function prepareFilteredReport(report, filters) {
+  const rangeData = report.rangeData.filter((item) =>
+    matchesFilters(item, filters)
+  );
+  const allData = report.allData.filter((item) =>
+    matchesFilters(item, filters)
+  );
+  const analysis = analyzeData(rangeData, allData);
+
+  // Los deltas se calculan contra los registros del snapshot anterior con
+  // los mismos filtros, no contra el análisis nacional guardado
+  const previousSnapshot = report.previousSnapshot
+    ? {
+        date: report.previousSnapshot.date,
+        analysis: analyzeData(
+          report.previousSnapshot.records.filter((item) =>
+            matchesFilters(item, filters)
+          ),
+          []
+        ),
+      }
+    : null;
+  applyDayOverDayDeltas(analysis, previousSnapshot);
+  analysis.priceAlerts = report.analysis.priceAlerts.filter((alert) =>
+    matchesFilters(alert, filters)
+  );
+  analysis.staleData = report.analysis.staleData;
+  analysis.rejectedRecords = report.analysis.rejectedRecords;
+
+  return { ...report, rangeData, allData, analysis };
+}
+
+// Function to send the tailored report to every active subscriber
+// Los suscriptores con los mismos filtros comparten el mismo análisis
+async function sendSubscriberReports(report, { dryRun = false } = {}) {
+  const subscribers = (await loadSubscribers()).filter((item) => item.active);
+  const rangeLabel = formatRangeLabel(report.range);
+  const filteredReports = new Map();
+  const pngCache = new Map();
+  const results = { total: subscribers.length, sent: 0, failed: [] };
+
+  for (const subscriber of subscribers) {
+    const key = getFilterSetKey(subscriber.filters);
+    if (!filteredReports.has(key)) {
+      filteredReports.set(
+        key,
+        prepareFilteredReport(report, subscriber.filters)
+      );
+    }
+    const filteredReport = filteredReports.get(key);
+    const unsubscribeUrl = getUnsubscribeUrl(subscriber);
+
+    try {
+      const reportOptions = { filters: subscriber.filters, unsubscribeUrl };
+      const reportEmail = generateReportEmail(
+        filteredReport.analysis,
+        report.range,
+        { ...reportOptions, pngCache }
+      );
+      const attachments = await buildReportAttachments({
+        ...filteredReport,
+        reportContent: generateReport(
+          filteredReport.analysis,
+          report.range,
+          reportOptions
+        ),
+      });
+      await sendEmail(reportEmail.html, {
+        to: subscriber.email,
+        subject: getReportSubject(rangeLabel, filteredReport.analysis),
+        text: buildReportEmailText(reportEmail.text, attachments),
+        attachments: [...attachments, ...reportEmail.images],
+        unsubscribeUrl,
+        dryRun,
+        delivery: {
+          type: "subscriber",
+          range: report.range,
+          subscriberId: subscriber.id,
+        },
+      });
+      results.sent++;
+    } catch (error) {
+      // Un suscriptor con problemas no frena el envío al resto
+      logger.error("Failed to send report to subscriber", {
+        subscriber: subscriber.email,
+        error: error.message,
+      });
+      results.failed.push({
+        id: subscriber.id,
+        error: error.message,
+        deliveryId: error.deliveryId || null,
+      });
+    }
+  }
+
+  return results;
+}
+
+// Key of a report range in the sent-reports log
+// (los resúmenes llevan el tipo adelante: "weekly:2024-01-08_2024-01-14")
+function getRangeKey(range, type = "daily") {
+  const key = `${range.from}_${range.to}`;
+  return type === "daily" ? key : `${type}:${key}`;
+}
+
+// Name of a report type in the API messages ("report", "weekly digest")
+function getReportName(type = "daily") {
+  return type === "daily" ? "report" : `${type} digest`;
+}
+
+// Function to get the sent-report entry of a range, if any
+async function getSentReport(range, type = "daily") {
+  const sentReports = (await readJsonFile(SENT_REPORTS_PATH)) || {};
+  return sentReports[getRangeKey(range, type)] || null;
+}
+
+// Function to record that the report of a range was sent
+async function markReportSent(range, result, type = "daily") {
+  await updateJsonFile(SENT_REPORTS_PATH, {}, (sentReports) => {
+    sentReports[getRangeKey(range, type)] = {
+      sentAt: new Date().toISOString(),
+      messageId: result.messageId,
+      ...(result.subscribers && {
+        subscribersSent: result.subscribers.sent,
+      }),
+      // Un envío con datos desactualizados no bloquea el reporte con datos
+      // frescos (ver isReportSendBlocked)
+      ...(result.staleData && { staleData: result.staleData }),
+    };
+  });
+}
+
+// Whether a previous send blocks sending the report again: un envío con
+// datos desactualizados sólo bloquea mientras la API siga sin responder
+function isReportSendBlocked(sentReport, staleData = null) {
+  return Boolean(sentReport) && (!sentReport.staleData || Boolean(staleData));
+}
+
+// Error thrown when the report of a range was already sent
+function createAlreadySentError(range, sentReport, type = "daily") {
+  const name = getReportName(type);
+  return Object.assign(
+    new Error(
+      `${name[0].toUpperCase()}${name.slice(1)} for ${formatRangeLabel(
+        range
+      )} was already sent at ${
+        sentReport.sentAt
+      }, use force=true to send it again`
+    ),
+    { code: "REPORT_ALREADY_SENT", sentReport }
+  );
+}
+
+// Function to send a weekly or monthly digest built from the snapshots
+// Options: type, range, dryRun, force y step (como executeReportWorkflow)
+async function executeDigestWorkflow(options) {
+  try {
+    const { type } = options;
+    const range = options.range || parseDigestRange(type);
+    const dryRun = Boolean(options.dryRun);
+    const step = options.step || runStep;
+    const rangeLabel = formatRangeLabel(range);
+
+    if (!dryRun && !options.force) {
+      const sentReport = await getSentReport(range, type);
+      if (sentReport) {
+        throw createAlreadySentError(range, sentReport, type);
+      }
+    }
+
+    logger.info("Starting digest workflow", {
+      type,
+      range: rangeLabel,
+      dryRun,
+    });
+
+    // Step 1: Load the daily snapshots of the period
+    const snapshots = await step("load", async () => {
+      const snapshots = await loadDigestSnapshots(range);
+      if (snapshots.length === 0) {
+        throw new Error(
+          `No daily snapshots stored for ${rangeLabel}, the ${type} digest needs the daily reports of the period`
+        );
+      }
+      logger.info("Digest snapshots loaded", { days: snapshots.length });
+      return snapshots;
+    });
+
+    // Step 2: Summarize the period
+    const digest = await step("analyze", () => analyzeDigest(snapshots, range));
+
+    // Step 3: Generate the digest with the template of its type
+    const digestEmail = await step("generate", () => {
+      logger.info("Generating digest", { type });
+      return generateDigestEmail(digest, type);
+    });
+
+    // Step 4: Send it to the report recipients
+    const emailResult = await step("send", () => {
+      if (!process.env.EMAIL_RECIPIENTS) {
+        throw new Error("No recipients configured: set EMAIL_RECIPIENTS");
+      }
+      logger.info("Sending digest email", { type });
+      return sendEmail(digestEmail.html, {
+        subject: `${REPORT_DEFINITION.subject} - ${DIGEST_TYPES[type].label} ${rangeLabel}`,
+        text: digestEmail.text,
+        attachments: digestEmail.images,
+        dryRun,
+        delivery: { type, range },
+      });
+    });
+
+    logger.info("Digest workflow completed successfully", { type });
+
+    const result = {
+      success: true,
+      type,
+      range,
+      days: digest.days.length,
+      totalRecords: digest.totalRecords,
+      priceIncreases: digest.priceIncreases.length,
+      emailSent: Boolean(emailResult.success && !dryRun),
+      messageId: emailResult.messageId,
+      deliveryId: emailResult.deliveryId || null,
+      ...(dryRun && { dryRun: true, mailOptions: emailResult.mailOptions }),
+    };
+    if (!dryRun) {
+      await markReportSent(range, result, type);
+    }
+    return result;
+  } catch (error) {
+    logger.error("Error in digest workflow", { error: error.message });
+    throw error;
+  }
+}
+
+// Main workflow function
+// Options: type, range, dryRun, force y step (para registrar los pasos de un
+// job); los tipos weekly y monthly envían el resumen del período
+async function executeReportWorkflow(options = {}) {
+  if (DIGEST_TYPES[options.type]) {
+    return executeDigestWorkflow(options);
+  }
+  try {
+    const range = options.range || parseReportRange();
+    const dryRun = Boolean(options.dryRun);
+    const step = options.step || runStep;
+    const rangeLabel = formatRangeLabel(range);
+
+    // Idempotencia: cada día (o rango) se envía una sola vez salvo force
+    const sentReport =
+      dryRun || options.force ? null : await getSentReport(range);
+    if (isReportSendBlocked(sentReport, null)) {
+      throw createAlreadySentError(range, sentReport);
+    }
+
+    logger.info("Starting report workflow", { range: rangeLabel, dryRun });
+
+    const report = await prepareReport(range, { persist: !dryRun, step });
+    const { isCurrent, rangeData, analysis, currentPrices } = report;
+
+    // Ya se envió con datos desactualizados y la API sigue sin responder
+    if (isReportSendBlocked(sentReport, analysis.staleData)) {
+      throw Object.assign(
+        new Error(
+          `Report for ${rangeLabel} was already sent with stale data at ${sentReport.sentAt} and the API is still unavailable`
+        ),
+        { code: "REPORT_STILL_STALE", sentReport }
+      );
+    }
+
+    // Step 5: Send the full report, the subscriber reports and the alerts
+    const { emailResult, subscriberResults, alertResult } = await step(
+      "send",
+      async () => {
+        const attachments = await buildReportAttachments(report);
+        const reportEmail = generateReportEmail(analysis, range);
+
+        // El reporte queda registrado como enviado apenas sale el envío
+        // principal, antes de suscriptores y alertas: si éstos fallan, un
+        // reintento no vuelve a mandar el reporte. Los precios actuales pasan
+        // a ser la base de comparación recién ahí, así un envío fallido no
+        // pierde las alertas
+        const commitReportSent = async (messageId) => {
+          if (dryRun) {
+            return;
+          }
+          if (isCurrent) {
+            await savePriceIndex(currentPrices);
+          }
+          await markReportSent(range, {
+            messageId,
+            staleData: analysis.staleData,
+          });
+        };
+
+        let emailResult = null;
+        if (process.env.EMAIL_RECIPIENTS) {
+          logger.info("Sending full report email");
+          emailResult = await sendEmail(reportEmail.html, {
+            subject: getReportSubject(rangeLabel, analysis),
+            text: buildReportEmailText(reportEmail.text, attachments),
+            attachments: [...attachments, ...reportEmail.images],
+            dryRun,
+            delivery: { type: "report", range },
+          });
+          await commitReportSent(emailResult.messageId);
+        }
+
+        // Desde acá los errores no cortan el workflow si el reporte principal
+        // ya salió: quedan en el resultado y en el delivery log
+        logger.info("Sending subscriber reports");
+        let subscriberResults;
+        try {
+          subscriberResults = await sendSubscriberReports(report, { dryRun });
+        } catch (error) {
+          if (!emailResult) {
+            throw error;
+          }
+          logger.error("Failed to send subscriber reports", {
+            error: error.message,
+          });
+          subscriberResults = {
+            total: 0,
+            sent: 0,
+            failed: [],
+            error: error.message,
+          };
+        }
+        if (!emailResult) {
+          if (subscriberResults.total === 0) {
+            throw new Error(
+              "No recipients configured: set EMAIL_RECIPIENTS or add subscribers"
+            );
+          }
+          if (subscriberResults.sent === 0 && !dryRun) {
+            throw new Error(
+              `Failed to send the report to all ${subscriberResults.total} subscribers`
+            );
+          }
+          await commitReportSent(null);
+        }
+
+        let alertResult = null;
+        if (
+          ["email", "both"].includes(ALERT_MODE) &&
+          analysis.priceAlerts.length > 0
+        ) {
+          logger.info("Sending price-change alert email");
+          try {
+            const sent = await sendEmail(
+              generateAlertReport(analysis.priceAlerts),
+              {
+                to: ALERT_RECIPIENTS,
+                subject: `${REPORT_DEFINITION.alertSubject} - ${getNow().format(
+                  "DD/MM/YYYY"
+                )} (${analysis.priceAlerts.length})`,
+                text: generateAlertReport(analysis.priceAlerts, {
+                  format: "text",
+                }),
+                dryRun,
+                delivery: { type: "alert", range },
+              }
+            );
+            alertResult = {
+              sent: true,
+              deliveryId: sent.deliveryId || null,
+              error: null,
+            };
+          } catch (error) {
+            logger.error("Failed to send price-change alert email", {
+              error: error.message,
+            });
+            alertResult = {
+              sent: false,
+              deliveryId: error.deliveryId || null,
+              error: error.message,
+            };
+          }
+        }
+
+        return { emailResult, subscriberResults, alertResult };
+      }
+    );
+
+    logger.info("Report workflow completed successfully");
+
+    const result = {
+      success: true,
+      range,
+      todayRecords: rangeData.length,
+      staleData: analysis.staleData,
+      priceAlerts: analysis.priceAlerts.length,
+      emailSent: Boolean(emailResult && emailResult.success && !dryRun),
+      messageId: emailResult ? emailResult.messageId : null,
+      deliveryId: emailResult ? emailResult.deliveryId || null : null,
+      subscribers: subscriberResults,
+      alerts: alertResult,
+      ...(dryRun && {
+        dryRun: true,
+        mailOptions: emailResult ? emailResult.mailOptions : null,
+      }),
+    };
+    if (!dryRun) {
+      await markReportSent(range, result);
+    }
+    return result;
+  } catch (error) {
+    logger.error("Error in report workflow", { error: error.message });
+    throw error;
+  }
+}
+
+// Report jobs: se ejecutan de a uno (lock de ejecución única) en orden
+const jobs = new Map();
+const jobQueue = [];
+const jobWaiters = new Map();
+let activeJob = null;
+const JOB_HISTORY_LIMIT = 100;
+
+// Function to queue a report workflow run and return its job
+function enqueueReportJob(params, source = "api") {
+  const job = {
+    id: crypto.randomUUID(),
+    source,
+    status: "queued",
+    params,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    steps: [],
+    result: null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+  let resolve;
+  const promise = new Promise((done) => (resolve = done));
+  jobWaiters.set(job.id, { promise, resolve });
+  jobQueue.push(job);
+  logger.info("Job queued", { jobId: job.id, source });
+
+  // Olvidar los jobs terminados más viejos
+  for (const [id, item] of jobs) {
+    if (jobs.size <= JOB_HISTORY_LIMIT) {
+      break;
+    }
+    if (["succeeded", "failed"].includes(item.status)) {
+      jobs.delete(id);
+      jobWaiters.delete(id);
+    }
+  }
+
+  processJobQueue();
+  return job;
+}
+
+// Function to wait until a job finishes
+function waitForJob(job) {
+  const waiter = jobWaiters.get(job.id);
+  return waiter ? waiter.promise : Promise.resolve(job);
+}
+
+// Find a queued or running job for the same report type and range that
+// would send emails
+function findPendingJob(range, type = "daily") {
+  return [...jobs.values()].find(
+    (job) =>
+      ["queued", "running"].includes(job.status) &&
+      !job.params.dryRun &&
+      getRangeKey(job.params.range, job.params.type) ===
+        getRangeKey(range, type)
+  );
+}
+
+// Function to run the next queued job when no other job is running
+async function processJobQueue() {
+  if (activeJob || jobQueue.length === 0) {
+    return;
+  }
+  activeJob = jobQueue.shift();
+  await runReportJob(activeJob);
+  activeJob = null;
+  processJobQueue();
+}
+
+// Function to run a job, recording the timing and outcome of every step
+async function runReportJob(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  const startTime = Date.now();
+
+  const step = async (name, fn) => {
+    const entry = {
+      name,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      error: null,
+    };
+    job.steps.push(entry);
+    const stepStart = Date.now();
+    try {
+      const value = await fn();
+      entry.status = "succeeded";
+      return value;
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.message;
+      throw error;
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+      entry.durationMs = Date.now() - stepStart;
+      metrics.stepDuration.observe(
+        { step: name, status: entry.status },
+        entry.durationMs / 1000
+      );
+    }
+  };
+
+  // Cada log del workflow lleva el id del job como runId
+  // (contexto nuevo: no hereda los campos de quien encoló el job)
+  await logContext.run({ runId: job.id, source: job.source }, async () => {
+    try {
+      job.result = await executeReportWorkflow({ ...job.params, step });
+      job.status = "succeeded";
+    } catch (error) {
+      job.status = "failed";
+      job.error = { message: error.message, code: error.code || null };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    job.durationMs = Date.now() - startTime;
+    metrics.workflowRuns.inc({ status: job.status });
+    metrics.workflowDuration.observe(
+      { status: job.status },
+      job.durationMs / 1000
+    );
+    // Un dry run no envía nada: no cuenta como último envío exitoso
+    if (job.status === "succeeded" && !job.params.dryRun) {
+      metrics.lastSuccess.set(Date.now() / 1000);
+    }
+    logger.info(`Job ${job.status}`, {
+      status: job.status,
+      durationMs: job.durationMs,
+    });
+  });
+  jobWaiters.get(job.id).resolve(job);
+}
+
+// Parse a boolean flag sent as query string ("true") or JSON (true)
+function parseFlag(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+// Shared handler for the trigger routes
+// Acepta date=YYYY-MM-DD o from/to, type (daily, weekly o monthly) y dryRun,
+// por query string o en el body JSON.
+// El reporte corre en segundo plano: responde 202 con el id del job
+async function handleTriggerReport(req, res) {
+  const params = { ...req.query, ...(req.body || {}) };
+  const type = params.type || "daily";
+  if (!REPORT_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: "Invalid report type",
+      details: `Invalid type "${type}", expected one of ${REPORT_TYPES.join(
+        ", "
+      )}`,
+    });
+  }
+
+  let range;
+  try {
+    range = DIGEST_TYPES[type]
+      ? parseDigestRange(type, params)
+      : parseReportRange(params);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid report date",
+      details: error.message,
+    });
+  }
+
+  try {
+    const dryRun = parseFlag(params.dryRun);
+    const force = parseFlag(params.force);
+
+    if (!dryRun) {
+      const pendingJob = findPendingJob(range, type);
+      if (pendingJob) {
+        return res.status(409).json({
+          error: "Report not sent",
+          details: `A ${getReportName(type)} for ${formatRangeLabel(
+            range
+          )} is already ${pendingJob.status}`,
+          jobId: pendingJob.id,
+          statusUrl: `/jobs/${pendingJob.id}`,
+        });
+      }
+      const sentReport = force ? null : await getSentReport(range, type);
+      if (isReportSendBlocked(sentReport, null)) {
+        return res.status(409).json({
+          error: "Report not sent",
+          details: createAlreadySentError(range, sentReport, type).message,
+          sentReport,
+        });
+      }
+    }
+
+    const job = enqueueReportJob({ type, range, dryRun, force }, "api");
+    res
+      .status(202)
+      .location(`/jobs/${job.id}`)
+      .json({
+        message: "Report workflow queued",
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+      });
+  } catch (error) {
+    logger.error(`Error in ${req.method} /trigger-report`, {
+      error: error.message,
+    });
+    res.status(500).json({
+      error: "Failed to queue report workflow",
+      details: error.message,
+    });
+  }
+}
+
+// Scheduled jobs and their pending timers
+const scheduler = {
+  jobs: [],
+  timers: new Map(),
+  retries: new Map(),
+  running: new Set(),
+};
+
+// Function to load the scheduled jobs from SCHEDULE_FILE or REPORT_SCHEDULE
+async function loadScheduleConfig() {
+  let jobs = [];
+  if (process.env.SCHEDULE_FILE) {
+    const config = JSON.parse(
+      await fs.readFile(process.env.SCHEDULE_FILE, "utf8")
+    );
+    jobs = Array.isArray(config) ? config : config.jobs || [];
+  } else if (process.env.REPORT_SCHEDULE) {
+    jobs = [{ name: "daily", cron: process.env.REPORT_SCHEDULE }];
+  }
+
+  return jobs.map((job, index) => {
+    const name = job.name || `job-${index + 1}`;
+    const type = job.type || "daily";
+    if (!REPORT_TYPES.includes(type)) {
+      throw new Error(`Invalid type "${type}" in scheduled job ${name}`);
+    }
+    try {
+      cronParser.parseExpression(job.cron, { tz: REPORT_TIMEZONE });
+    } catch (error) {
+      throw new Error(
+        `Invalid cron "${job.cron}" in job ${name}: ${error.message}`
+      );
+    }
+    return { name, type, cron: job.cron, enabled: job.enabled !== false };
+  });
+}
+
+// Function to list the next run dates of a job after a given date
+function getNextRuns(job, count, currentDate = new Date()) {
+  const interval = cronParser.parseExpression(job.cron, {
+    tz: REPORT_TIMEZONE,
+    currentDate,
+  });
+  return Array.from({ length: count }, () => interval.next().toDate());
+}
+
+// Function to get the most recent scheduled date of a job before now
+function getPreviousRun(job, currentDate = new Date()) {
+  return cronParser
+    .parseExpression(job.cron, { tz: REPORT_TIMEZONE, currentDate })
+    .prev()
+    .toDate();
+}
+
+// Function to load the persisted scheduler state (last run per job)
+async function loadSchedulerState() {
+  return (await readJsonFile(SCHEDULE_STATE_PATH)) || {};
+}
+
+// Function to run a scheduled job for the slot it was scheduled at
+// El reporte cubre el día del horario programado (no el día en que corre),
+// así una ejecución recuperada tras un reinicio reporta el día correcto.
+// Los resúmenes cubren la semana o el mes del día anterior al horario
+async function runScheduledJob(job, slot) {
+  if (scheduler.running.has(job.name)) {
+    logger.warn("Scheduled job is still running, skipping", {
+      schedule: job.name,
+      slot: slot.toISOString(),
+    });
+    return;
+  }
+  scheduler.running.add(job.name);
+  // running se libera aunque algo falle antes de terminar el job (un
+  // error al encolarlo o al guardar el estado), si no el horario queda
+  // bloqueado hasta reiniciar
+  try {
+    const date = moment.tz(slot, REPORT_TIMEZONE).format("YYYY-MM-DD");
+    const range = DIGEST_TYPES[job.type]
+      ? parseDigestRange(job.type, {
+          date: moment(date).subtract(1, "day").format("YYYY-MM-DD"),
+        })
+      : { from: date, to: date };
+    const entry = {
+      lastScheduledAt: slot.toISOString(),
+      lastStartedAt: new Date().toISOString(),
+    };
+    logger.info("Running scheduled job", {
+      schedule: job.name,
+      type: job.type,
+      date,
+    });
+
+    const reportJob = enqueueReportJob(
+      { type: job.type, range },
+      `schedule:${job.name}`
+    );
+    const { status, error } = await waitForJob(reportJob);
+
+    entry.lastJobId = reportJob.id;
+    if (status === "succeeded" && reportJob.result.staleData) {
+      entry.lastStatus = "stale";
+      entry.lastError = null;
+      scheduleStaleRetry(job, slot);
+    } else if (status === "succeeded") {
+      entry.lastStatus = "success";
+      entry.lastError = null;
+    } else if (error.code === "REPORT_STILL_STALE") {
+      entry.lastStatus = "stale";
+      entry.lastError = error.message;
+      scheduleStaleRetry(job, slot);
+    } else if (error.code === "REPORT_ALREADY_SENT") {
+      entry.lastStatus = "skipped";
+      entry.lastError = error.message;
+    } else {
+      entry.lastStatus = "failed";
+      entry.lastError = error.message;
+      logger.error("Scheduled job failed", {
+        schedule: job.name,
+        runId: reportJob.id,
+        error: error.message,
+      });
+    }
+
+    entry.lastFinishedAt = new Date().toISOString();
+    await updateJsonFile(SCHEDULE_STATE_PATH, {}, (state) => {
+      const previous = state[job.name] || {};
+      // Un horario fallido no avanza lastRunAt: se reintenta al reiniciar
+      state[job.name] = {
+        ...previous,
+        ...entry,
+        lastRunAt:
+          entry.lastStatus === "failed"
+            ? previous.lastRunAt || null
+            : entry.lastScheduledAt,
+      };
+    });
+  } finally {
+    scheduler.running.delete(job.name);
+  }
+}
+
+// Function to retry a daily run that went out with stale data, while it is
+// still the same day (el reporte se reenvía cuando la API vuelve a responder)
+function scheduleStaleRetry(job, slot) {
+  const date = moment.tz(slot, REPORT_TIMEZONE).format("YYYY-MM-DD");
+  if (DIGEST_TYPES[job.type] || date !== getToday()) {
+    return;
+  }
+  logger.info("Report sent with stale data, scheduling retry", {
+    schedule: job.name,
+    retryInMinutes: STALE_RETRY_MINUTES,
+  });
+  // Un solo reintento pendiente por horario
+  clearTimeout(scheduler.retries.get(job.name));
+  const timer = setTimeout(async () => {
+    scheduler.retries.delete(job.name);
+    if (getToday() !== date) {
+      return;
+    }
+    try {
+      await runScheduledJob(job, slot);
+    } catch (error) {
+      logger.error("Scheduled run crashed", {
+        schedule: job.name,
+        slot: slot.toISOString(),
+        error: error.message,
+      });
+    }
+  }, STALE_RETRY_MINUTES * 60 * 1000);
+  scheduler.retries.set(job.name, timer);
+}
+
+// Function to arm the timer of the next run of a job
+function scheduleNextRun(job) {
+  const [next] = getNextRuns(job, 1);
+  // setTimeout no admite esperas mayores a ~24.8 días
+  const delay = Math.min(next.getTime() - Date.now(), 2 ** 31 - 1);
+
+  const timer = setTimeout(async () => {
+    if (Date.now() < next.getTime()) {
+      return scheduleNextRun(job);
+    }
+    // El timer se vuelve a armar siempre: un error en esta corrida no
+    // puede dejar el horario sin próximas ejecuciones
+    try {
+      await runScheduledJob(job, next);
+    } catch (error) {
+      logger.error("Scheduled run crashed", {
+        schedule: job.name,
+        slot: next.toISOString(),
+        error: error.message,
+      });
+    } finally {
+      scheduleNextRun(job);
+    }
+  }, delay);
+  scheduler.timers.set(job.name, timer);
+}
+
+// Function to start the scheduler, catching up runs missed while down
+async function startScheduler() {
+  scheduler.jobs = await loadScheduleConfig();
+  const activeJobs = scheduler.jobs.filter((job) => job.enabled);
+  if (activeJobs.length === 0) {
+    logger.info("Scheduler disabled (no REPORT_SCHEDULE or SCHEDULE_FILE)");
+    return;
+  }
+
+  const state = await loadSchedulerState();
+  for (const job of activeJobs) {
+    const previousRun = getPreviousRun(job);
+    const lastRunAt = state[job.name] && state[job.name].lastRunAt;
+    const missedFor = Date.now() - previousRun.getTime();
+
+    // Sin estado previo no se recupera nada: en el primer arranque no se
+    // sabe si el último horario ya se envió (la idempotencia diaria cubre el resto)
+    if (
+      lastRunAt &&
+      new Date(lastRunAt) < previousRun &&
+      missedFor <= SCHEDULE_CATCHUP_HOURS * 60 * 60 * 1000
+    ) {
+      logger.info("Catching up missed scheduled run", {
+        schedule: job.name,
+        slot: previousRun.toISOString(),
+      });
+      // Una recuperación fallida no impide armar el horario
+      try {
+        await runScheduledJob(job, previousRun);
+      } catch (error) {
+        logger.error("Scheduled run crashed", {
+          schedule: job.name,
+          slot: previousRun.toISOString(),
+          error: error.message,
+        });
+      }
+    } else if (!state[job.name]) {
+      await updateJsonFile(SCHEDULE_STATE_PATH, {}, (current) => {
+        current[job.name] = { lastRunAt: previousRun.toISOString() };
+      });
+    }
+
+    scheduleNextRun(job);
+    logger.info("Scheduled job armed", {
+      schedule: job.name,
+      cron: job.cron,
+      timezone: REPORT_TIMEZONE,
+      nextRun: getNextRuns(job, 1)[0].toISOString(),
+    });
+  }
+}
+
+// Function to stop the scheduler: cancela los timers de los horarios y de
+// los reintentos pendientes (las corridas en curso terminan solas)
+function stopScheduler() {
+  scheduler.timers.forEach((timer) => clearTimeout(timer));
+  scheduler.retries.forEach((timer) => clearTimeout(timer));
+  scheduler.timers.clear();
+  scheduler.retries.clear();
+}
+
+// Readiness checks (/health/ready)
+// Email, API y antigüedad de los datos se revisan a lo sumo cada
+// READY_CHECK_INTERVAL_MINUTES; entre revisiones el endpoint responde con el
+// último estado conocido
+const READY_CHECK_INTERVAL_MINUTES = parseFloat(
+  process.env.READY_CHECK_INTERVAL_MINUTES || 5
+);
+const READY_API_TIMEOUT_MS = parseInt(process.env.READY_API_TIMEOUT_MS || 5000);
+const READY_DATA_MAX_AGE_HOURS = parseFloat(
+  process.env.READY_DATA_MAX_AGE_HOURS || 48
+);
+const apiHealth = {
+  status: "unknown",
+  checkedAt: null,
+  latencyMs: null,
+  error: null,
+};
+const readinessChecks = { email: null, api: null };
+
+// Whether a check result is older than READY_CHECK_INTERVAL_MINUTES
+function isCheckDue(checkedAt) {
+  return (
+    !checkedAt ||
+    Date.now() - Date.parse(checkedAt) >= READY_CHECK_INTERVAL_MINUTES * 60000
+  );
+}
+
+// Function to check that the data API answers a one-record request
+// (un API_ENDPOINT vacío o inválido cuenta como falla del chequeo)
+async function checkApiHealth() {
+  const startTime = Date.now();
+  try {
+    const url = new URL(process.env.API_ENDPOINT);
+    url.searchParams.set("limit", 1);
+    const response = await axios.get(url.toString(), {
+      headers: { "Content-Type": "application/json" },
+      timeout: READY_API_TIMEOUT_MS,
+    });
+    if (response.data && response.data.success === false) {
+      throw new Error(
+        `API error: ${JSON.stringify(response.data.error || "unknown")}`
+      );
+    }
+    apiHealth.status = "ok";
+    apiHealth.error = null;
+  } catch (error) {
+    apiHealth.status = "failed";
+    apiHealth.error = error.message;
+    logger.warn("Readiness: data API check failed", { error: error.message });
+  }
+  apiHealth.checkedAt = new Date().toISOString();
+  apiHealth.latencyMs = Date.now() - startTime;
+}
+
+// Function to start the email and API checks that are due (sin repetir uno
+// que ya está en curso)
+function refreshReadinessChecks() {
+  const emailDue = emailTransports.some(
+    (transport) => transport.verify && isCheckDue(transport.health.checkedAt)
+  );
+  if (!readinessChecks.email && emailDue) {
+    readinessChecks.email = verifyEmailConnection().finally(() => {
+      readinessChecks.email = null;
+    });
+  }
+  if (!readinessChecks.api && isCheckDue(apiHealth.checkedAt)) {
+    readinessChecks.api = checkApiHealth().finally(() => {
+      readinessChecks.api = null;
+    });
+  }
+  return Promise.all([readinessChecks.email, readinessChecks.api]);
+}
+
+// Function to describe the email transports: falla cuando ninguno puede
+// enviar (el failover cubre la caída de uno)
+function getEmailHealth() {
+  const transports = emailTransports.map((transport) => ({
+    name: transport.name,
+    ...transport.health,
+  }));
+  const usable = transports.find((transport) => transport.status !== "failed");
+  return {
+    status: usable ? usable.status : "failed",
+    active: usable ? usable.name : null,
+    transports,
+  };
+}
+
+// Newest date of the dataset (fecha_vigencia), cached on the dataset
+// Las fechas de días futuros (errores de carga) no cuentan como dato nuevo
+function getNewestRecordDate(dataset) {
+  if (dataset.newestDate === undefined) {
+    const endOfToday = getNow().endOf("day").valueOf();
+    const newest = dataset.records.reduce((latest, item) => {
+      const time = moment
+        .tz(item[REPORT_DEFINITION.dateField], REPORT_TIMEZONE)
+        .valueOf();
+      return time <= endOfToday && time > latest ? time : latest;
+    }, -Infinity);
+    dataset.newestDate =
+      newest === -Infinity ? null : new Date(newest).toISOString();
+  }
+  return dataset.newestDate;
+}
+
+// Newest stored snapshot, cached while no newer day is saved
+let latestSnapshotHealth = null;
+
+// Function to describe the age of the newest record of the latest dataset
+// Un chequeo de readiness nunca descarga datos: sin dataset en memoria
+// (recién arrancado) se usa el último snapshot guardado
+async function getDataHealth() {
+  let source = latestDataset;
+  if (!source) {
+    const dates = await listSnapshots();
+    const date = dates[dates.length - 1];
+    if (!date) {
+      return { status: "unknown", newestDate: null, ageHours: null };
+    }
+    if (!latestSnapshotHealth || latestSnapshotHealth.date !== date) {
+      const snapshot = await loadSnapshot(date);
+      latestSnapshotHealth = {
+        date,
+        loadedAt: snapshot.savedAt,
+        newestDate: getNewestRecordDate(snapshot),
+      };
+    }
+    source = latestSnapshotHealth;
+  }
+
+  const newestDate = getNewestRecordDate(source);
+  const ageHours = newestDate
+    ? Math.max(
+        Math.round(((Date.now() - Date.parse(newestDate)) / 3600000) * 10) / 10,
+        0
+      )
+    : null;
+  return {
+    status:
+      ageHours !== null && ageHours <= READY_DATA_MAX_AGE_HOURS
+        ? "ok"
+        : "failed",
+    newestDate,
+    ageHours,
+    maxAgeHours: READY_DATA_MAX_AGE_HOURS,
+    loadedAt: source.loadedAt,
+    staleData: Boolean(source.stale),
+    ...(source === latestSnapshotHealth && { snapshot: source.date }),
+  };
+}
+
+// Function to describe the outcome of the last report runs since startup
+// (los dry runs y los reportes ya enviados no cuentan)
+async function getWorkflowHealth() {
+  const runs = [...jobs.values()]
+    .filter(
+      (job) =>
+        ["succeeded", "failed"].includes(job.status) &&
+        !job.params.dryRun &&
+        !(job.error && job.error.code === "REPORT_ALREADY_SENT")
+    )
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+  const failedIndex = runs.findIndex((job) => job.status !== "failed");
+  const sentReports = Object.values(
+    (await readJsonFile(SENT_REPORTS_PATH)) || {}
+  );
+  const lastSentAt = sentReports.reduce(
+    (latest, item) => (!latest || item.sentAt > latest ? item.sentAt : latest),
+    null
+  );
+  const [lastRun] = runs;
+
+  return {
+    status: lastRun
+      ? lastRun.status === "failed"
+        ? "failed"
+        : "ok"
+      : "unknown",
+    lastRun: lastRun
+      ? {
+          jobId: lastRun.id,
+          source: lastRun.source,
+          status: lastRun.status,
+          finishedAt: lastRun.finishedAt,
+          error: lastRun.error ? lastRun.error.message : null,
+        }
+      : null,
+    consecutiveFailures: failedIndex === -1 ? runs.length : failedIndex,
+    lastSentAt,
+  };
+}
+
+// API Routes
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.json({
+    status: "OK",
+    timestamp: new Date().toISOString(),
+    service: "API Report Mailer",
+  });
+});
+
+// Readiness: 200 cuando el email, la API, los datos y el último workflow están
+// bien, 503 cuando alguno está degradado
+app.get("/health/ready", async (req, res) => {
+  try {
+    try {
+      await refreshReadinessChecks();
+    } catch (error) {
+      logger.warn("Readiness: checks failed to run", { error: error.message });
+    }
+    const checks = {
+      email: getEmailHealth(),
+      api: { ...apiHealth },
+      data: await getDataHealth(),
+      workflow: await getWorkflowHealth(),
+    };
+    const degraded = Object.keys(checks).filter(
+      (name) => checks[name].status === "failed"
+    );
+    res.status(degraded.length > 0 ? 503 : 200).json({
+      status: degraded.length > 0 ? "degraded" : "ready",
+      degraded,
+      timestamp: new Date().toISOString(),
+      checks,
+    });
+  } catch (error) {
+    logger.error("Error in GET /health/ready", { error: error.message });
+    res.status(500).json({
+      error: "Failed to check readiness",
+      details: error.message,
+    });
+  }
+});
+
+// Prometheus metrics (workflow, API, emails y métricas del proceso)
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    logger.error("Error in GET /metrics", { error: error.message });
+    res.status(500).json({
+      error: "Failed to collect metrics",
+      details: error.message,
+    });
+  }
+});
+
+// Scheduled jobs with their next runs and last run state
+app.get("/schedule", async (req, res) => {
+  try {
+    const count = Math.min(parseInt(req.query.count) || 5, 50);
+    const state = await loadSchedulerState();
+    res.json({
+      timezone: REPORT_TIMEZONE,
+      jobs: scheduler.jobs.map((job) => ({
+        ...job,
+        running: scheduler.running.has(job.name),
+        nextRuns: job.enabled
+          ? getNextRuns(job, count).map((date) =>
+              moment.tz(date, REPORT_TIMEZONE).format()
+            )
+          : [],
+        ...(state[job.name] || {}),
+      })),
+    });
+  } catch (error) {
+    logger.error("Error in GET /schedule", { error: error.message });
+    res.status(500).json({
+      error: "Failed to load schedule",
+      details: error.message,
+    });
+  }
+});
+
+// Trigger report workflow endpoint
+app.post(
+  "/trigger-report",
+  requireAuth,
+  triggerRateLimiter,
+  handleTriggerReport
+);
+
+// GET endpoint for manual trigger (useful for GitHub Actions)
+app.get(
+  "/trigger-report",
+  requireAuth,
+  triggerRateLimiter,
+  handleTriggerReport
+);
+
+// Status of a report job with the timing of each step
+// Los ids son UUID aleatorios, así que la consulta no requiere autenticación
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: "Job not found",
+      details: `No job with id ${req.params.id}`,
+    });
+  }
+  res.json(job);
+});
+
+// Recent report jobs, newest first
+app.get("/jobs", requireAuth, (req, res) => {
+  res.json({
+    active: activeJob ? activeJob.id : null,
+    queued: jobQueue.length,
+    jobs: [...jobs.values()].reverse().map(({ result, ...job }) => job),
+  });
+});
+
+// Function to build the report of a range for the preview and the exports,
+// from the latest dataset or a stored snapshot (ver getReportSource):
+// no descarga la API ni guarda nada
+async function buildReadOnlyReport(range) {
+  const source = await getReportSource(range);
+  const analysis = await analyzeLatestDataset(source, range, {});
+  analysis.priceHistory = await loadTrendHistory(analysis, range);
+  analysis.priceAlerts =
+    ALERT_MODE === "off" || range.to !== getToday()
+      ? []
+      : detectPriceChanges(
+          await loadPriceIndex(),
+          buildPriceIndex(source.records)
+        );
+  return {
+    analysis,
+    rangeData: getSourceRangeData(source, source.records, range),
+  };
+}
+
+// Preview the HTML report in the browser without sending or storing anything
+app.get("/report/preview", requireAuth, reportRateLimiter, async (req, res) => {
+  let range;
+  try {
+    range = parseReportRange(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid report date",
+      details: error.message,
+    });
+  }
+
+  try {
+    const { analysis } = await buildReadOnlyReport(range);
+    res.type("html").send(generateReport(analysis, range));
+  } catch (error) {
+    logger.error("Error in GET /report/preview", { error: error.message });
+    res.status(500).json({
+      error: "Failed to generate report preview",
       details: error.message,
     });
   }
 });
 
-// GET endpoint for manual trigger (useful for GitHub Actions)
-app.get("/trigger-report", async (req, res) => {
+// Shared handler for the export routes (/report.json, .csv, .xlsx)
+function handleReportExport(format) {
+  return async (req, res) => {
+    let range;
+    try {
+      range = parseReportRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid report date",
+        details: error.message,
+      });
+    }
+
+    const group = req.query.group
+      ? EXPORT_GROUPS.find((item) => item.param === req.query.group)
+      : null;
+    if (req.query.group && !group) {
+      return res.status(400).json({
+        error: `Invalid group, expected one of: ${EXPORT_GROUPS.map(
+          (item) => item.param
+        ).join(", ")}`,
+      });
+    }
+
+    try {
+      const { analysis, rangeData } = await buildReadOnlyReport(range);
+      const filename = getExportFilename(range);
+
+      if (format === "json") {
+        return res.json(generateJsonExport(analysis, rangeData, range));
+      }
+      if (format === "csv") {
+        const table = group
+          ? buildGroupExportTable(analysis, group)
+          : buildRecordsExportTable(rangeData);
+        res.attachment(`${filename}${group ? `-${group.param}` : ""}.csv`);
+        return res.type("text/csv; charset=utf-8").send(generateCsv(table));
+      }
+      res.attachment(`${filename}.xlsx`);
+      res.send(await generateXlsx(analysis, rangeData));
+    } catch (error) {
+      logger.error(`Error in GET /report.${format}`, { error: error.message });
+      res.status(500).json({
+        error: "Failed to export report",
+        details: error.message,
+      });
+    }
+  };
+}
+
+// Report data exports
+app.get(
+  "/report.json",
+  requireAuth,
+  reportRateLimiter,
+  handleReportExport("json")
+);
+app.get(
+  "/report.csv",
+  requireAuth,
+  reportRateLimiter,
+  handleReportExport("csv")
+);
+app.get(
+  "/report.xlsx",
+  requireAuth,
+  reportRateLimiter,
+  handleReportExport("xlsx")
+);
+
+// List subscribers
+app.get("/subscribers", requireAuth, async (req, res) => {
+  try {
+    const subscribers = await loadSubscribers();
+    res.json({ count: subscribers.length, subscribers });
+  } catch (error) {
+    logger.error("Error in GET /subscribers", { error: error.message });
+    res.status(500).json({
+      error: "Failed to list subscribers",
+      details: error.message,
+    });
+  }
+});
+
+// Create a subscriber
+app.post("/subscribers", requireAuth, async (req, res) => {
+  let subscriber;
+  try {
+    subscriber = validateSubscriberInput(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid subscriber",
+      details: error.message,
+    });
+  }
+
+  try {
+    const created = await updateSubscribers((subscribers) => {
+      if (subscribers.some((item) => item.email === subscriber.email)) {
+        return null;
+      }
+      const now = new Date().toISOString();
+      const item = {
+        id: crypto.randomUUID(),
+        name: "",
+        active: true,
+        ...subscriber,
+        createdAt: now,
+        updatedAt: now,
+      };
+      subscribers.push(item);
+      return item;
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        error: `Subscriber ${subscriber.email} already exists`,
+      });
+    }
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error("Error in POST /subscribers", { error: error.message });
+    res.status(500).json({
+      error: "Failed to create subscriber",
+      details: error.message,
+    });
+  }
+});
+
+// Get a subscriber
+app.get("/subscribers/:id", requireAuth, async (req, res) => {
+  try {
+    const subscriber = (await loadSubscribers()).find(
+      (item) => item.id === req.params.id
+    );
+    if (!subscriber) {
+      return res.status(404).json({ error: "Subscriber not found" });
+    }
+    res.json(subscriber);
+  } catch (error) {
+    logger.error("Error in GET /subscribers/:id", { error: error.message });
+    res.status(500).json({
+      error: "Failed to load subscriber",
+      details: error.message,
+    });
+  }
+});
+
+// Update a subscriber (email, name, active and/or filters)
+app.put("/subscribers/:id", requireAuth, async (req, res) => {
+  try {
+    const existing = (await loadSubscribers()).find(
+      (item) => item.id === req.params.id
+    );
+    if (!existing) {
+      return res.status(404).json({ error: "Subscriber not found" });
+    }
+
+    let subscriber;
+    try {
+      subscriber = validateSubscriberInput(req.body || {}, existing);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid subscriber",
+        details: error.message,
+      });
+    }
+
+    const updated = await updateSubscribers((subscribers) => {
+      if (
+        subscribers.some(
+          (item) => item.id !== existing.id && item.email === subscriber.email
+        )
+      ) {
+        return null;
+      }
+      const index = subscribers.findIndex((item) => item.id === existing.id);
+      subscribers[index] = {
+        ...subscriber,
+        updatedAt: new Date().toISOString(),
+      };
+      return subscribers[index];
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        error: `Subscriber ${subscriber.email} already exists`,
+      });
+    }
+    res.json(updated);
+  } catch (error) {
+    logger.error("Error in PUT /subscribers/:id", { error: error.message });
+    res.status(500).json({
+      error: "Failed to update subscriber",
+      details: error.message,
+    });
+  }
+});
+
+// Delete a subscriber
+app.delete("/subscribers/:id", requireAuth, async (req, res) => {
+  try {
+    const deleted = await updateSubscribers((subscribers) => {
+      const index = subscribers.findIndex((item) => item.id === req.params.id);
+      return index === -1 ? null : subscribers.splice(index, 1)[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Subscriber not found" });
+    }
+    res.json({ message: "Subscriber deleted", subscriber: deleted });
+  } catch (error) {
+    logger.error("Error in DELETE /subscribers/:id", { error: error.message });
+    res.status(500).json({
+      error: "Failed to delete subscriber",
+      details: error.message,
+    });
+  }
+});
+
+// Signed unsubscribe link included in every subscriber email
+// El GET sólo muestra la confirmación (los escáneres de links de los
+// clientes de correo lo abren solos); la baja se hace con el POST del
+// formulario o del List-Unsubscribe-Post del cliente (RFC 8058)
+app.get("/unsubscribe/:id", async (req, res) => {
+  const { id } = req.params;
+  if (!verifyUnsubscribeToken(id, req.query.token)) {
+    return res
+      .status(403)
+      .type("html")
+      .send("<p>El link de baja no es válido.</p>");
+  }
+
+  try {
+    const subscriber = (await loadSubscribers()).find((item) => item.id === id);
+    if (!subscriber) {
+      return res
+        .status(404)
+        .type("html")
+        .send("<p>La suscripción no existe.</p>");
+    }
+
+    const email = Handlebars.escapeExpression(subscriber.email);
+    const title = REPORT_DEFINITION.title.toLowerCase();
+    if (subscriber.active === false) {
+      return res
+        .type("html")
+        .send(`<p>${email} ya está dado de baja del ${title}.</p>`);
+    }
+    const action = `/unsubscribe/${encodeURIComponent(
+      id
+    )}?token=${encodeURIComponent(req.query.token)}`;
+    res
+      .type("html")
+      .send(
+        `<form method="post" action="${action}">` +
+          `<p>¿Dar de baja a ${email} del ${title}?</p>` +
+          `<button type="submit">Darme de baja</button>` +
+          `</form>`
+      );
+  } catch (error) {
+    logger.error("Error in GET /unsubscribe/:id", { error: error.message });
+    res.status(500).json({
+      error: "Failed to load subscription",
+      details: error.message,
+    });
+  }
+});
+
+// Unsubscribe: formulario de confirmación o baja en un click (RFC 8058)
+app.post("/unsubscribe/:id", async (req, res) => {
+  const { id } = req.params;
+  if (!verifyUnsubscribeToken(id, req.query.token)) {
+    return res
+      .status(403)
+      .type("html")
+      .send("<p>El link de baja no es válido.</p>");
+  }
+
+  try {
+    const subscriber = await updateSubscribers((subscribers) => {
+      const item = subscribers.find((entry) => entry.id === id);
+      if (item) {
+        item.active = false;
+        item.updatedAt = new Date().toISOString();
+      }
+      return item || null;
+    });
+
+    if (!subscriber) {
+      return res
+        .status(404)
+        .type("html")
+        .send("<p>La suscripción no existe.</p>");
+    }
+    logger.info("Subscriber unsubscribed", { subscriber: subscriber.email });
+    res
+      .type("html")
+      .send(
+        `<p>${Handlebars.escapeExpression(
+          subscriber.email
+        )} fue dado de baja del ${REPORT_DEFINITION.title.toLowerCase()}.</p>`
+      );
+  } catch (error) {
+    logger.error("Error in POST /unsubscribe/:id", { error: error.message });
+    res.status(500).json({
+      error: "Failed to unsubscribe",
+      details: error.message,
+    });
+  }
+});
+
+// Read-only query API over the latest dataset
+app.get("/prices", queryRateLimiter, async (req, res) => {
+  let range;
+  let paging;
   try {
-    const result = await executeReportWorkflow();
+    range = parseQueryRange(req.query);
+    paging = parsePricesPaging(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid prices query",
+      details: error.message,
+    });
+  }
+  const filters = parseQueryFilters(req.query);
 
+  try {
+    const dataset = await getLatestDataset();
+    let records = dataset.records.filter((item) =>
+      matchesQueryFilters(item, filters)
+    );
+    if (range) {
+      records = filterDataByRange(records, range);
+    }
+    const page = sortRecords(records, paging.field, paging.descending).slice(
+      paging.offset,
+      paging.offset + paging.limit
+    );
     res.json({
-      message: "Report workflow executed successfully",
-      result,
+      range,
+      filters,
+      sort: paging.sort,
+      total: records.length,
+      limit: paging.limit,
+      offset: paging.offset,
+      count: page.length,
+      dataLoadedAt: dataset.loadedAt,
+      staleData: dataset.stale,
+      records: page,
     });
   } catch (error) {
-    console.error("Error in GET /trigger-report:", error.message);
+    logger.error("Error in GET /prices", { error: error.message });
     res.status(500).json({
-      error: "Failed to execute report workflow",
+      error: "Failed to query prices",
       details: error.message,
     });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(
-    `Trigger report: POST/GET http://localhost:${PORT}/trigger-report`
-  );
-  console.log("\nVerifying email configuration...");
-  // Don't await - verify in background to not block server startup
-  verifyEmailConnection().catch(err => {
-    console.error("Email verification error:", err.message);
-  });
+// Report groupings (the numbers of the email) as JSON
+app.get("/aggregates", queryRateLimiter, async (req, res) => {
+  let range;
+  try {
+    range = parseReportRange(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid report date",
+      details: error.message,
+    });
+  }
+  const groups = [
+    ...REPORT_DEFINITION.dimensions.map((dimension) => dimension.key),
+    "priceStats",
+    "gasStationStats",
+    "flagCompanyStats",
+    "dataQuality",
+  ];
+  if (req.query.group && !groups.includes(req.query.group)) {
+    return res.status(400).json({
+      error: `Invalid group, expected one of: ${groups.join(", ")}`,
+    });
+  }
+  const filters = parseQueryFilters(req.query);
+
+  try {
+    const dataset = await getLatestDataset();
+    const analysis = summarizeAnalysis(
+      await analyzeLatestDataset(dataset, range, filters)
+    );
+    res.json({
+      range,
+      filters,
+      generatedAt: getNow().format(),
+      dataLoadedAt: dataset.loadedAt,
+      ...(req.query.group
+        ? { group: req.query.group, data: analysis[req.query.group] || null }
+        : { analysis }),
+    });
+  } catch (error) {
+    logger.error("Error in GET /aggregates", { error: error.message });
+    res.status(500).json({
+      error: "Failed to compute aggregates",
+      details: error.message,
+    });
+  }
+});
+
+// Web dashboard: the page, its assets and the report view as JSON
+// Values of each filter field among the records of a source, for the
+// dashboard selects (se calculan una vez por dataset o snapshot)
+function getSourceOptions(source) {
+  if (!source.options) {
+    source.options = {};
+    Object.values(SUBSCRIBER_FILTER_FIELDS).forEach((field) => {
+      source.options[field] = [
+        ...new Set(source.records.map((item) => item[field]).filter(Boolean)),
+      ].sort((a, b) => a.localeCompare(b, "es"));
+    });
+  }
+  return source.options;
+}
+
+app.get("/dashboard", (req, res) => {
+  res.sendFile(path.join(APP_DIR, "public", "dashboard.html"));
+});
+
+app.get("/dashboard/report.css", (req, res) => {
+  res.type("css").send(templates.styles);
+});
+
+// Dashboard data: la vista del reporte para la fecha y los filtros pedidos,
+// con el mismo análisis que /aggregates (analyzeLatestDataset); el navegador
+// sólo la dibuja. Un día pasado sale de su snapshot (getReportSource)
+app.get("/dashboard/data", queryRateLimiter, async (req, res) => {
+  let range;
+  try {
+    range = parseReportRange(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid report date",
+      details: error.message,
+    });
+  }
+  const filters = parseQueryFilters(req.query);
+  const hasFilters = Object.keys(filters).length > 0;
+
+  try {
+    const source = await getReportSource(range);
+    const analysis = await analyzeLatestDataset(source, range, filters);
+    // Como en los reportes de suscriptores, la tendencia sólo sin filtros
+    analysis.priceHistory = hasFilters
+      ? []
+      : await loadTrendHistory(analysis, range);
+
+    const filterLabels = {};
+    Object.entries(SUBSCRIBER_FILTER_FIELDS).forEach(([filter, field]) => {
+      filterLabels[filter] = req.query[field]
+        ? String(req.query[field]).split(",")
+        : [];
+    });
+    res.json({
+      range,
+      today: getToday(),
+      filters,
+      source: source.snapshot ? "snapshot" : "dataset",
+      dataLoadedAt: source.loadedAt,
+      filterFields: Object.entries(SUBSCRIBER_FILTER_FIELDS).map(
+        ([filter, field]) => ({ field, label: FILTER_LABELS[filter] })
+      ),
+      options: getSourceOptions(source),
+      view: buildReportView(analysis, range, {
+        filters: hasFilters ? filterLabels : null,
+      }),
+    });
+  } catch (error) {
+    logger.error("Error in GET /dashboard/data", { error: error.message });
+    res.status(500).json({
+      error: "Failed to load dashboard data",
+      details: error.message,
+    });
+  }
+});
+
+app.use("/dashboard", express.static(path.join(APP_DIR, "public")));
+
+// Nearby stations, sorted by the current price of a product
+app.get("/stations/nearby", queryRateLimiter, async (req, res) => {
+  let query;
+  try {
+    query = parseNearbyQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid nearby query",
+      details: error.message,
+    });
+  }
+
+  try {
+    const index = await getStationIndex();
+    const { total, stations } = findNearbyStations(index, query);
+    res.json({
+      query,
+      dataLoadedAt: index.dataset.loadedAt,
+      staleData: index.dataset.stale,
+      total,
+      count: stations.length,
+      stations,
+    });
+  } catch (error) {
+    logger.error("Error in GET /stations/nearby", { error: error.message });
+    res.status(500).json({
+      error: "Failed to search nearby stations",
+      details: error.message,
+    });
+  }
+});
+
+// List the days available in the snapshot store
+app.get("/snapshots", async (req, res) => {
+  try {
+    const dates = await listSnapshots();
+    res.json({ count: dates.length, dates });
+  } catch (error) {
+    logger.error("Error in GET /snapshots", { error: error.message });
+    res.status(500).json({
+      error: "Failed to list snapshots",
+      details: error.message,
+    });
+  }
+});
+
+// Get the stored analysis (and optionally the records) for a given day
+app.get("/snapshots/:date", async (req, res) => {
+  const { date } = req.params;
+  if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+    return res.status(400).json({
+      error: "Invalid date, expected format YYYY-MM-DD",
+    });
+  }
+
+  try {
+    const snapshot = await loadSnapshot(date);
+    if (!snapshot) {
+      return res.status(404).json({ error: `No snapshot stored for ${date}` });
+    }
+    if (req.query.records !== "true") {
+      delete snapshot.records;
+    }
+    res.json(snapshot);
+  } catch (error) {
+    logger.error("Error in GET /snapshots/:date", { error: error.message });
+    res.status(500).json({
+      error: "Failed to load snapshot",
+      details: error.message,
+    });
+  }
+});
+
+// Delivery log: emails enviados (y fallidos), del más nuevo al más viejo
+// ?date=YYYY-MM-DD&type=report|subscriber|alert&status=sent|failed&to=&limit=&offset=
+app.get("/deliveries", requireAuth, async (req, res) => {
+  let query;
+  try {
+    query = parseDeliveriesQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid deliveries query",
+      details: error.message,
+    });
+  }
+
+  try {
+    const deliveries = (await loadDeliveries()).filter((delivery) =>
+      matchesDeliveryQuery(delivery, query)
+    );
+    const page = deliveries.slice(query.offset, query.offset + query.limit);
+    res.json({
+      total: deliveries.length,
+      count: page.length,
+      offset: query.offset,
+      deliveries: page,
+    });
+  } catch (error) {
+    logger.error("Error in GET /deliveries", { error: error.message });
+    res.status(500).json({
+      error: "Failed to list deliveries",
+      details: error.message,
+    });
+  }
+});
+
+// Get a delivery; ?format=html devuelve el HTML enviado
+app.get("/deliveries/:id", requireAuth, async (req, res) => {
+  try {
+    const stored = await loadDelivery(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    if (req.query.format === "html") {
+      if (!stored.content) {
+        return res
+          .status(404)
+          .json({ error: "Delivery content is no longer stored" });
+      }
+      return res.type("html").send(stored.content.html);
+    }
+    res.json({
+      ...stored.delivery,
+      contentStored: Boolean(stored.content),
+      htmlUrl: `/deliveries/${stored.delivery.id}?format=html`,
+    });
+  } catch (error) {
+    logger.error("Error in GET /deliveries/:id", { error: error.message });
+    res.status(500).json({
+      error: "Failed to load delivery",
+      details: error.message,
+    });
+  }
 });
 
+// Send a stored delivery again, without refetching the data
+// Body opcional: { "to": ["a@example.com"] } (por defecto, los destinatarios
+// originales)
+app.post(
+  "/deliveries/:id/resend",
+  requireAuth,
+  triggerRateLimiter,
+  async (req, res) => {
+    let recipients = null;
+    const body = req.body || {};
+    if (body.to !== undefined) {
+      recipients = parseRecipients(body.to).map((address) =>
+        address.toLowerCase()
+      );
+      const invalid = recipients.filter(
+        (address) => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)
+      );
+      if (recipients.length === 0 || invalid.length > 0) {
+        return res.status(400).json({
+          error: "Invalid recipients",
+          details:
+            invalid.length > 0
+              ? `Invalid email addresses: ${invalid.join(", ")}`
+              : "to must list at least one email address",
+        });
+      }
+    }
+
+    try {
+      const stored = await loadDelivery(req.params.id);
+      if (!stored) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+      if (!stored.content) {
+        return res
+          .status(404)
+          .json({ error: "Delivery content is no longer stored" });
+      }
+
+      logger.info("Resending delivery", {
+        deliveryId: stored.delivery.id,
+        to: recipients || stored.delivery.to,
+      });
+      const result = await resendDelivery(stored, recipients);
+      res.json({
+        message: "Delivery resent",
+        resendOf: stored.delivery.id,
+        deliveryId: result.deliveryId,
+        messageId: result.messageId,
+        transport: result.transport,
+      });
+    } catch (error) {
+      logger.error("Error in POST /deliveries/:id/resend", {
+        error: error.message,
+      });
+      res.status(500).json({
+        error: "Failed to resend delivery",
+        details: error.message,
+        deliveryId: error.deliveryId || null,
+      });
+    }
+  }
+);
+
+// Start server (sólo al ejecutar index.js: los tests lo importan sin
+// levantar el servidor ni el scheduler)
+const isMainModule =
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMainModule) {
+  app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`, {
+      health: `http://localhost:${PORT}/health`,
+      metrics: `http://localhost:${PORT}/metrics`,
+      trigger: `http://localhost:${PORT}/trigger-report`,
+    });
+    logger.info("Verifying email configuration and data API...");
+    // Don't await - verify in background to not block server startup
+    // (el resultado queda como primer estado de /health/ready)
+    refreshReadinessChecks().catch((err) => {
+      logger.error("Email verification error", { error: err.message });
+    });
+
+    startScheduler().catch((error) => {
+      logger.error("Failed to start scheduler", { error: error.message });
+    });
+  });
+}
+
 export default app;
+export {
+  REPORT_DEFINITION,
+  normalizeRecords,
+  filterDataByRange,
+  analyzeData,
+  detectDataQualityIssues,
+  getPriceKey,
+  buildPriceIndex,
+  getExportFilename,
+  fetchApiData,
+  prepareReport,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,215 @@
+// Record normalization
+// Valida y normaliza los registros de la API contra el esquema de la
+// definición del reporte: tipo de cada campo, reglas de coerción y nombres
+// canónicos de regiones y marcas
+import moment from "moment-timezone";
+
+// Record schema: tipo de cada campo y si es obligatorio. Un registro sin un
+// campo obligatorio válido se descarta; un campo opcional inválido queda en
+// null (y se cuenta), y los campos fuera del esquema se pasan sin cambios.
+// El esquema se arma con los campos de la definición del reporte: cada clave
+// de campo tiene su tipo (y el `schema` de la definición agrega o reemplaza)
+const RECORD_FIELD_RULES = {
+  entityField: { type: "id", required: true },
+  entityNameField: { type: "text" },
+  addressField: { type: "text" },
+  localityField: { type: "name" },
+  regionField: { type: "province", required: true },
+  brandField: { type: "brand" },
+  productField: { type: "text", required: true },
+  valueField: { type: "price", required: true },
+  dateField: { type: "date", required: true },
+  latitudeField: { type: "number" },
+  longitudeField: { type: "number" },
+};
+
+// Accepted date formats (hora local, sin zona)
+const RECORD_DATE_FORMATS = [
+  "YYYY-MM-DDTHH:mm:ss",
+  "YYYY-MM-DDTHH:mm:ss.SSS",
+  "YYYY-MM-DDTHH:mm",
+  "YYYY-MM-DD HH:mm:ss",
+  "YYYY-MM-DD HH:mm",
+  "YYYY-MM-DD",
+  "DD/MM/YYYY HH:mm:ss",
+  "DD/MM/YYYY HH:mm",
+  "DD/MM/YYYY",
+];
+
+// Build the record schema from the fields of a report definition
+function buildRecordSchema(definition) {
+  const schema = {};
+  Object.entries(RECORD_FIELD_RULES).forEach(([key, rule]) => {
+    if (definition[key]) {
+      schema[definition[key]] = rule;
+    }
+  });
+  return { ...schema, ...(definition.schema || {}) };
+}
+
+// Normalize a name for comparisons: trimmed, single spaced, uppercase and
+// without accents ("Córdoba " -> "CORDOBA")
+function normalizeName(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const name = String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toUpperCase();
+  return name || null;
+}
+
+// Parse a price sent as number or string ("1234.5", "1.234,50", "$ 1234,5")
+function coercePrice(value, { allowNegative = false } = {}) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && (allowNegative || value > 0)
+      ? value
+      : null;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  let text = value.replace(/[$\s]/g, "");
+  // Con punto y coma, el último separador es el decimal
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  } else if (lastComma !== -1) {
+    text = text.replace(/,/g, "");
+  }
+
+  const number = text === "" ? NaN : Number(text);
+  return Number.isFinite(number) && (allowNegative || number > 0)
+    ? number
+    : null;
+}
+
+// Function to build the canonical names of a report definition, normalized
+// like the values they are compared with
+// regions: las regiones válidas (null acepta cualquiera); regionAliases y
+// brandAliases: otras grafías y su nombre canónico
+function buildCanonicalNames(definition) {
+  const normalizeAliases = (aliases) =>
+    Object.fromEntries(
+      Object.entries(aliases || {}).map(([alias, name]) => [
+        normalizeName(alias),
+        normalizeName(name),
+      ])
+    );
+  return {
+    regions: Array.isArray(definition.regions)
+      ? definition.regions.map(normalizeName)
+      : null,
+    regionAliases: normalizeAliases(definition.regionAliases),
+    brandAliases: normalizeAliases(definition.brandAliases),
+  };
+}
+
+// Coercion rules by schema type: devuelven el valor normalizado o null si
+// falta o es inválido (names: los nombres canónicos de buildCanonicalNames)
+const FIELD_COERCERS = {
+  id: (value) => {
+    const id = Number(String(value).trim());
+    return Number.isInteger(id) && id > 0 ? id : null;
+  },
+  text: (value) =>
+    value === null || value === undefined
+      ? null
+      : String(value).replace(/\s+/g, " ").trim() || null,
+  name: normalizeName,
+  province: (value, names) => {
+    const name = normalizeName(value);
+    const region = names.regionAliases[name] || name;
+    return !names.regions || names.regions.includes(region) ? region : null;
+  },
+  brand: (value, names) => {
+    const name = normalizeName(value);
+    return names.brandAliases[name] || name;
+  },
+  price: (value) => coercePrice(value),
+  date: (value) => {
+    const date = moment.utc(String(value).trim(), RECORD_DATE_FORMATS, true);
+    return date.isValid() ? date.format("YYYY-MM-DDTHH:mm:ss") : null;
+  },
+  number: (value) => coercePrice(value, { allowNegative: true }),
+};
+
+// Types a schema field can declare
+const FIELD_TYPES = Object.keys(FIELD_COERCERS);
+
+// Function to validate and normalize the API records against the schema and
+// the canonical names of a report definition
+// Devuelve los registros válidos y el resumen de los descartados por motivo,
+// de los corregidos y de los campos opcionales inválidos que quedaron vacíos
+function validateRecords(rawRecords, definition) {
+  const schema = definition.schema || buildRecordSchema(definition);
+  const names = buildCanonicalNames(definition);
+  const records = [];
+  const rejected = {
+    total: 0,
+    corrected: 0,
+    cleared: 0,
+    byReason: {},
+    clearedByField: {},
+  };
+
+  rawRecords.forEach((item) => {
+    const record = { ...item };
+    const reasons = [];
+    const cleared = [];
+    let corrected = false;
+
+    Object.entries(schema).forEach(([field, rule]) => {
+      const raw = item[field];
+      const missing = raw === null || raw === undefined || raw === "";
+      const value = missing ? null : FIELD_COERCERS[rule.type](raw, names);
+
+      if (value === null && !missing) {
+        if (rule.required) {
+          reasons.push(`Valor inválido en ${field}`);
+        } else {
+          cleared.push(field);
+        }
+      } else if (value === null && rule.required) {
+        reasons.push(`Falta ${field}`);
+      } else if (!missing && String(value) !== String(raw)) {
+        corrected = true;
+      }
+      record[field] = value;
+    });
+
+    if (reasons.length > 0) {
+      rejected.total++;
+      reasons.forEach((reason) => {
+        rejected.byReason[reason] = (rejected.byReason[reason] || 0) + 1;
+      });
+      return;
+    }
+    if (corrected) {
+      rejected.corrected++;
+    }
+    if (cleared.length > 0) {
+      rejected.cleared++;
+      cleared.forEach((field) => {
+        rejected.clearedByField[field] =
+          (rejected.clearedByField[field] || 0) + 1;
+      });
+    }
+    records.push(record);
+  });
+
+  return { records, rejected };
+}
+
+export {
+  FIELD_TYPES,
+  buildRecordSchema,
+  normalizeName,
+  coercePrice,
+  validateRecords,
+};
@@ -0,0 +1,322 @@
+// Dashboard: renders the report view returned by /dashboard/data (las mismas
+// tarjetas, gráficos y tablas del email) with filters and sortable tables
+// El análisis (también el filtrado) lo hace el servidor: acá sólo se dibuja
+
+const form = document.getElementById("filters");
+const dateInput = document.getElementById("date");
+const statusElement = document.getElementById("status");
+const reportElement = document.getElementById("report");
+let requestId = 0;
+
+// Create an element with an optional class and text
+function createElement(tag, className = null, text = null) {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== null && text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+// Value of a table cell for sorting: prices ("$1.234,56"), percentages and
+// deltas ("12.5%", "+3") as numbers, the rest as text ("—" va al final)
+function getSortValue(text) {
+  const value = text.trim();
+  if (value === "" || value === "—") {
+    return null;
+  }
+  const price = value.match(/(-?)\$([\d.]+(,\d+)?)/);
+  if (price) {
+    return Number(
+      `${price[1]}${price[2].replace(/\./g, "").replace(",", ".")}`
+    );
+  }
+  if (/^[+-]?\d+(\.\d+)?%?$/.test(value)) {
+    return parseFloat(value);
+  }
+  return value;
+}
+
+// Compare two sort values, keeping empty cells last
+function compareSortValues(a, b) {
+  if (a === null) {
+    return b === null ? 0 : 1;
+  }
+  if (b === null) {
+    return -1;
+  }
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), "es");
+}
+
+// Render a table cell with the classes of the email template
+function renderCell(item) {
+  const td = createElement("td", item.tdClass || null);
+  if (item.spanClass) {
+    td.append(createElement("span", item.spanClass, item.text));
+  } else if (item.strong) {
+    td.append(createElement("strong", null, item.text));
+  } else {
+    td.textContent = item.text;
+  }
+  return td;
+}
+
+// Render a table whose columns sort on click (ascendente, luego descendente)
+function renderTable(table) {
+  const fragment = document.createDocumentFragment();
+  if (table.heading) {
+    fragment.append(createElement("h3", null, table.heading));
+  }
+  if (table.intro) {
+    fragment.append(createElement("p", null, table.intro));
+  }
+  if (table.columns) {
+    const element = createElement("table");
+    const headerRow = createElement("tr");
+    const tbody = createElement("tbody");
+    const rows = table.rows.map((row) => {
+      const tr = createElement("tr");
+      row.forEach((item) => tr.append(renderCell(item)));
+      return { tr, values: row.map((item) => getSortValue(item.text)) };
+    });
+    const renderRows = (sortedRows) => {
+      tbody.replaceChildren(...sortedRows.map((row) => row.tr));
+    };
+
+    table.columns.forEach((column, index) => {
+      const th = createElement("th", "sortable", column);
+      th.addEventListener("click", () => {
+        const descending = th.classList.contains("sorted-asc");
+        headerRow.querySelectorAll("th").forEach((item) => {
+          item.classList.remove("sorted-asc", "sorted-desc");
+        });
+        th.classList.add(descending ? "sorted-desc" : "sorted-asc");
+        renderRows(
+          [...rows].sort((a, b) => {
+            const order = compareSortValues(a.values[index], b.values[index]);
+            // Los vacíos quedan al final en ambos sentidos
+            return descending &&
+              a.values[index] !== null &&
+              b.values[index] !== null
+              ? -order
+              : order;
+          })
+        );
+      });
+      headerRow.append(th);
+    });
+
+    const thead = createElement("thead");
+    thead.append(headerRow);
+    renderRows(rows);
+    element.append(thead, tbody);
+    fragment.append(element);
+  }
+  if (table.more) {
+    fragment.append(createElement("p", "no-data", table.more));
+  }
+  return fragment;
+}
+
+// Render a report section: title, paragraphs, charts and tables
+function renderSection(section) {
+  const element = createElement("div", "section");
+  if (section.title) {
+    element.append(createElement("h2", null, section.title));
+  }
+  (section.paragraphs || []).forEach((paragraph) => {
+    element.append(createElement("p", null, paragraph));
+  });
+  (section.charts || []).forEach((chart) => {
+    if (chart.heading) {
+      element.append(createElement("h3", null, chart.heading));
+    }
+    // SVG generado por el servidor (los textos ya vienen escapados)
+    const container = createElement("div", "chart");
+    container.innerHTML = chart.svg;
+    container.title = chart.alt;
+    element.append(container);
+  });
+  (section.tables || []).forEach((table) => element.append(renderTable(table)));
+  return element;
+}
+
+// Render the summary cards
+function renderCards(cards) {
+  const element = createElement("div", "summary-cards");
+  cards.forEach((card) => {
+    const cardElement = createElement("div", "card");
+    const content = createElement("div", "card-content");
+    content.append(
+      createElement("h3", null, card.title),
+      createElement("p", null, card.description)
+    );
+    cardElement.append(content, createElement("div", "number", card.value));
+    element.append(cardElement);
+  });
+  return element;
+}
+
+// Render the whole report view
+function renderView(view) {
+  document.title = `${view.title} - ${view.period}`;
+  document.getElementById("title").textContent = view.title;
+  document
+    .getElementById("subtitles")
+    .replaceChildren(
+      ...view.subtitles.map((text) => createElement("p", null, text))
+    );
+
+  const elements = [];
+  if (view.banner) {
+    const banner = createElement("div", "stale-banner");
+    banner.append(
+      createElement("strong", null, view.banner.title),
+      ` ${view.banner.text}`
+    );
+    elements.push(banner);
+  }
+  elements.push(...view.sectionsBefore.map(renderSection));
+  if (view.cards) {
+    elements.push(renderCards(view.cards));
+  }
+  if (view.noData) {
+    const noData = createElement("div", "no-data");
+    noData.append(
+      createElement("h3", null, view.noData.title),
+      createElement("p", null, view.noData.text)
+    );
+    elements.push(noData);
+  }
+  elements.push(...view.sections.map(renderSection));
+  reportElement.replaceChildren(...elements);
+
+  document
+    .getElementById("footer")
+    .replaceChildren(
+      ...view.footer.map((text) => createElement("p", null, text))
+    );
+}
+
+// Create the filter selects of the report definition (una vez, con la
+// primera respuesta), before the reset button
+function createFilterSelects(filterFields) {
+  const reset = document.getElementById("reset");
+  filterFields.forEach(({ field, label }) => {
+    if (form.elements[field]) {
+      return;
+    }
+    const select = createElement("select");
+    select.name = field;
+    select.append(new Option("Todos", ""));
+    const value = initialQuery.get(field);
+    if (value) {
+      select.append(new Option(value, value));
+      select.value = value;
+    }
+    const labelElement = createElement("label", null, label);
+    labelElement.append(select);
+    form.insertBefore(labelElement, reset);
+  });
+}
+
+// Fill a filter select with the values of the dataset, keeping the selection
+function fillSelect(select, values) {
+  const selected = select.value;
+  const options = values.map((value) => {
+    const option = createElement("option", null, value);
+    option.value = value;
+    return option;
+  });
+  select.replaceChildren(select.options[0], ...options);
+  select.value = values.includes(selected) ? selected : "";
+}
+
+// Filter selects of the form
+function getFilterSelects() {
+  return [...form.querySelectorAll("select")];
+}
+
+// Query of the current form (también queda en la URL para compartirla)
+// Antes de la primera respuesta los filtros salen de la URL
+function getQuery() {
+  const params = new URLSearchParams();
+  if (dateInput.value) {
+    params.set("date", dateInput.value);
+  }
+  const selects = getFilterSelects();
+  if (selects.length === 0) {
+    initialQuery.forEach((value, field) => {
+      if (field !== "date" && value) {
+        params.set(field, value);
+      }
+    });
+  }
+  selects.forEach((select) => {
+    if (select.value) {
+      params.set(select.name, select.value);
+    }
+  });
+  return params;
+}
+
+// Function to load and render the dashboard for the current form
+async function loadDashboard() {
+  const currentRequest = ++requestId;
+  const params = getQuery();
+  history.replaceState(null, "", `${location.pathname}?${params}`);
+  statusElement.className = "status";
+  statusElement.textContent = "Cargando…";
+
+  try {
+    const response = await fetch(`/dashboard/data?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details || data.error);
+    }
+    // Una respuesta vieja no pisa la de un filtro más reciente
+    if (currentRequest !== requestId) {
+      return;
+    }
+    createFilterSelects(data.filterFields);
+    data.filterFields.forEach(({ field }) => {
+      fillSelect(form.elements[field], data.options[field] || []);
+    });
+    dateInput.max = data.today;
+    if (!dateInput.value) {
+      dateInput.value = data.range.to;
+    }
+    renderView(data.view);
+    statusElement.textContent =
+      data.source === "snapshot"
+        ? `Datos guardados el ${new Date(data.dataLoadedAt).toLocaleString(
+            "es-AR"
+          )} (snapshot del día)`
+        : `Datos descargados el ${new Date(data.dataLoadedAt).toLocaleString(
+            "es-AR"
+          )}`;
+  } catch (error) {
+    if (currentRequest === requestId) {
+      statusElement.className = "status error";
+      statusElement.textContent = `No se pudo cargar el dashboard: ${error.message}`;
+    }
+  }
+}
+
+// Initial state from the URL (?date= y los campos de los filtros)
+const initialQuery = new URLSearchParams(location.search);
+dateInput.value = initialQuery.get("date") || "";
+
+form.addEventListener("change", loadDashboard);
+document.getElementById("reset").addEventListener("click", () => {
+  getFilterSelects().forEach((select) => {
+    select.value = "";
+  });
+  loadDashboard();
+});
+loadDashboard();
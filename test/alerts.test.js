@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp } from "fs/promises";
+import moment from "moment-timezone";
+
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+
+// Precio vigente de cada estación; los tests lo cambian entre reportes
+const prices = { 1: "100", 2: "1000", 3: "1000", 4: "1000" };
+
+let api;
+let server;
+let baseUrl;
+
+before(async () => {
+  api = http.createServer((req, res) => {
+    const records = Object.entries(prices).map(([id, precio]) => ({
+      _id: Number(id),
+      idempresa: id,
+      empresa: `Estación ${id}`,
+      direccion: "Calle 1",
+      localidad: "Córdoba",
+      provincia: "CORDOBA",
+      empresabandera: "YPF",
+      producto: id === "1" ? "GNC" : "Nafta (súper) entre 92 y 95 Ron",
+      tipohorario: "Diurno",
+      precio,
+      fecha_vigencia: `${today}T09:00:00`,
+    }));
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records, total: records.length },
+      })
+    );
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  process.env.DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "alerts-"));
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  process.env.TRIGGER_TOKEN = "secret";
+  process.env.EMAIL_TRANSPORTS = "outbox";
+  process.env.EMAIL_RECIPIENTS = "equipo@example.com";
+  // Sólo alerta por monto: el umbral porcentual queda desactivado
+  process.env.ALERT_THRESHOLD_PERCENT = "";
+  process.env.ALERT_THRESHOLD_AMOUNT = "50";
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  const { default: app } = await import("../index.js");
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  api.close();
+});
+
+// Function to call the service with the trigger token
+async function request(url, options = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    ...options,
+    headers: { Authorization: "Bearer secret", ...options.headers },
+  });
+  const type = response.headers.get("content-type") || "";
+  return {
+    status: response.status,
+    body: type.includes("json") ? await response.json() : await response.text(),
+  };
+}
+
+// Function to send the report of today and wait for its job
+async function runReport() {
+  const { body } = await request("/trigger-report?force=true", {
+    method: "POST",
+  });
+  for (;;) {
+    const { body: job } = await request(`/jobs/${body.jobId}`);
+    if (!["queued", "running"].includes(job.status)) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+test("the first report has nothing to compare against", async () => {
+  const job = await runReport();
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.result.priceAlerts, 0);
+});
+
+test("only changes beyond the amount threshold alert", async () => {
+  // +20% pero sólo $20; +$60; -$60; +$40
+  Object.assign(prices, { 1: "120", 2: "1060", 3: "940", 4: "1040" });
+
+  const job = await runReport();
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.result.priceAlerts, 2);
+
+  const { body } = await request("/deliveries?type=report&limit=1");
+  const html = await request(
+    `/deliveries/${body.deliveries[0].id}?format=html`
+  );
+  assert.match(html.body, /Alertas de Cambio de Precio \(2\)/);
+});
+
+test("the base moves with each sent report", async () => {
+  const job = await runReport();
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.result.priceAlerts, 0);
+});
+
+test("a negative or non-numeric threshold fails the start", async () => {
+  for (const value of ["-5", "diez"]) {
+    process.env.ALERT_THRESHOLD_AMOUNT = value;
+    await assert.rejects(
+      import(`../index.js?threshold=${value}`),
+      /ALERT_THRESHOLD_AMOUNT must be a non-negative number/
+    );
+  }
+  process.env.ALERT_THRESHOLD_AMOUNT = "50";
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp } from "fs/promises";
+import moment from "moment-timezone";
+
+const dateFrom = moment
+  .tz("America/Argentina/Buenos_Aires")
+  .subtract(30, "days")
+  .format("YYYY-MM-DD");
+
+// Resource de CKAN falso: contesta el COUNT y las páginas de
+// datastore_search_sql y guarda cada request para revisar la consulta
+const rows = [
+  { _id: 1, _full_text: "a", idempresa: "1", producto: "Nafta", precio: "10" },
+  { _id: 2, _full_text: "b", idempresa: "2", producto: "Nafta", precio: "11" },
+  { _id: 3, _full_text: "c", idempresa: "3", producto: "GNC", precio: "12" },
+];
+const requests = [];
+let server;
+let report;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    requests.push(url);
+    const sql = url.searchParams.get("sql") || "";
+    const page = sql.match(/LIMIT (\d+) OFFSET (\d+)/);
+    const records = page
+      ? rows.slice(Number(page[2]), Number(page[2]) + Number(page[1]))
+      : [{ total: String(rows.length) }];
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ success: true, result: { records } }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    server.address().port
+  }/api/3/action/datastore_search?resource_id=abc-123`;
+  process.env.API_DATE_RANGE_DAYS = "30";
+  process.env.API_PAGE_SIZE = "2";
+  process.env.API_FILTERS = JSON.stringify({
+    provincia: "CORDOBA",
+    producto: ["Nafta", "GNC"],
+  });
+  process.env.DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "api-test-"));
+  delete process.env.REPORT_DEFINITION_FILE;
+  delete process.env.DATE_FIELD;
+  report = await import("../index.js");
+});
+
+after(() => {
+  server.close();
+});
+
+test("pushes the date range and filters down to datastore_search_sql", async () => {
+  const data = await report.fetchApiData();
+
+  assert.equal(requests.length, 3);
+  for (const url of requests) {
+    assert.equal(url.pathname, "/api/3/action/datastore_search_sql");
+    assert.equal(url.searchParams.get("limit"), null);
+    assert.equal(url.searchParams.get("filters"), null);
+  }
+
+  const where =
+    `WHERE "provincia" = 'CORDOBA' AND "producto" IN ('Nafta', 'GNC')` +
+    ` AND "fecha_vigencia" >= '${dateFrom}'`;
+  const [count, first, second] = requests.map((url) =>
+    url.searchParams.get("sql")
+  );
+  assert.equal(count, `SELECT COUNT(*) AS total FROM "abc-123" ${where}`);
+  assert.equal(
+    first,
+    `SELECT * FROM "abc-123" ${where} ORDER BY "_id" LIMIT 2 OFFSET 0`
+  );
+  assert.equal(
+    second,
+    `SELECT * FROM "abc-123" ${where} ORDER BY "_id" LIMIT 2 OFFSET 2`
+  );
+
+  assert.equal(data.result.total, 3);
+  assert.deepEqual(
+    data.result.records.map((record) => record._id),
+    [1, 2, 3]
+  );
+  assert.ok(data.result.records.every((record) => !("_full_text" in record)));
+});
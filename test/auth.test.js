@@ -0,0 +1,138 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { mkdtemp } from "fs/promises";
+import moment from "moment-timezone";
+
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+
+const rows = [
+  {
+    _id: 1,
+    idempresa: "1",
+    empresa: "Estación 1",
+    direccion: "Calle 1",
+    localidad: "Córdoba",
+    provincia: "CORDOBA",
+    empresabandera: "YPF",
+    producto: "Nafta (súper) entre 92 y 95 Ron",
+    tipohorario: "Diurno",
+    precio: "1000",
+    fecha_vigencia: `${today}T09:00:00`,
+  },
+];
+
+let api;
+let server;
+let baseUrl;
+
+before(async () => {
+  api = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records: rows, total: rows.length },
+      })
+    );
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  process.env.DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "auth-"));
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  process.env.TRIGGER_TOKEN = "alpha,beta";
+  process.env.AUTH_FAILURE_LIMIT = "3";
+  process.env.REPORT_RATE_LIMIT = "2";
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  const { default: app } = await import("../index.js");
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  api.close();
+});
+
+// Function to GET a path from a client IP (el servidor confía en un proxy,
+// así que cada test usa su propia IP con X-Forwarded-For)
+function get(url, ip, headers = {}) {
+  return fetch(`${baseUrl}${url}`, {
+    headers: { "X-Forwarded-For": ip, ...headers },
+  });
+}
+
+test("any key of TRIGGER_TOKEN authorizes a Bearer request", async () => {
+  for (const token of ["alpha", "beta"]) {
+    const response = await get("/jobs", "10.0.0.1", {
+      Authorization: `Bearer ${token}`,
+    });
+    assert.equal(response.status, 200);
+  }
+});
+
+test("a signed request is accepted once", async () => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac("sha256", "beta")
+    .update(`${timestamp}.GET./jobs.`)
+    .digest("hex");
+  const headers = {
+    "X-Timestamp": timestamp,
+    "X-Signature": `sha256=${signature}`,
+  };
+
+  assert.equal((await get("/jobs", "10.0.0.2", headers)).status, 200);
+  const replay = await get("/jobs", "10.0.0.2", headers);
+  assert.equal(replay.status, 401);
+  assert.equal(
+    (await replay.json()).details,
+    "Signature already used (replayed request)"
+  );
+});
+
+test("rejected credentials are limited per IP before checking them", async () => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const response = await get("/jobs", "10.0.0.3", {
+      Authorization: "Bearer wrong",
+    });
+    assert.equal(response.status, 401);
+  }
+
+  // Ni la clave correcta pasa desde esa IP; otra IP no está afectada
+  const blocked = await get("/jobs", "10.0.0.3", {
+    Authorization: "Bearer alpha",
+  });
+  assert.equal(blocked.status, 429);
+  assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+  const other = await get("/jobs", "10.0.0.4", {
+    Authorization: "Bearer alpha",
+  });
+  assert.equal(other.status, 200);
+});
+
+test("each key has its own rate limit, whatever the IP", async () => {
+  for (const ip of ["10.0.0.5", "10.0.0.6"]) {
+    const response = await get("/report/preview", ip, {
+      Authorization: "Bearer alpha",
+    });
+    assert.equal(response.status, 200);
+  }
+  const limited = await get("/report/preview", "10.0.0.7", {
+    Authorization: "Bearer alpha",
+  });
+  assert.equal(limited.status, 429);
+
+  const otherKey = await get("/report/preview", "10.0.0.5", {
+    Authorization: "Bearer beta",
+  });
+  assert.equal(otherKey.status, 200);
+});
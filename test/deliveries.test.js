@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp } from "fs/promises";
+import moment from "moment-timezone";
+
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+
+const rows = [
+  {
+    _id: 1,
+    idempresa: "1",
+    empresa: "Estación 1",
+    direccion: "Calle 1",
+    localidad: "Córdoba",
+    provincia: "CORDOBA",
+    empresabandera: "YPF",
+    producto: "Nafta (súper) entre 92 y 95 Ron",
+    tipohorario: "Diurno",
+    precio: "1000",
+    fecha_vigencia: `${today}T09:00:00`,
+  },
+];
+
+let api;
+let server;
+let baseUrl;
+
+before(async () => {
+  api = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records: rows, total: rows.length },
+      })
+    );
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  process.env.DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "deliveries-"));
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  process.env.TRIGGER_TOKEN = "secret";
+  process.env.EMAIL_TRANSPORTS = "outbox";
+  process.env.EMAIL_RECIPIENTS = "equipo@example.com";
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  const { default: app } = await import("../index.js");
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // El reporte del día queda en el registro de envíos
+  const { body } = await request("/trigger-report", { method: "POST" });
+  await waitForJob(body.jobId);
+});
+
+after(() => {
+  server.close();
+  api.close();
+});
+
+// Function to call the service with the trigger token
+async function request(url, options = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    ...options,
+    headers: { Authorization: "Bearer secret", ...options.headers },
+  });
+  const type = response.headers.get("content-type") || "";
+  return {
+    status: response.status,
+    body: type.includes("json") ? await response.json() : await response.text(),
+  };
+}
+
+// Function to poll a job until it is no longer queued or running
+async function waitForJob(jobId) {
+  for (;;) {
+    const { body } = await request(`/jobs/${jobId}`);
+    if (!["queued", "running"].includes(body.status)) {
+      return body;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+test("the sent report is logged with its period, recipients and content", async () => {
+  const { status, body } = await request(`/deliveries?date=${today}`);
+  assert.equal(status, 200);
+  assert.equal(body.total, 1);
+
+  const [delivery] = body.deliveries;
+  assert.equal(delivery.type, "report");
+  assert.equal(delivery.status, "sent");
+  assert.equal(delivery.transport, "outbox");
+  assert.deepEqual(delivery.to, ["equipo@example.com"]);
+  assert.deepEqual(delivery.range, { from: today, to: today });
+
+  const html = await request(`/deliveries/${delivery.id}?format=html`);
+  assert.equal(html.status, 200);
+  assert.match(html.body, /Reporte de Precios de Combustibles/);
+});
+
+test("a resend goes to the new recipients and points to the original", async () => {
+  const {
+    body: {
+      deliveries: [original],
+    },
+  } = await request("/deliveries?type=report");
+
+  const resend = await request(`/deliveries/${original.id}/resend`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ to: ["Otro@Example.com"] }),
+  });
+  assert.equal(resend.status, 200);
+  assert.equal(resend.body.resendOf, original.id);
+
+  const { body } = await request("/deliveries?to=otro@example.com");
+  assert.equal(body.total, 1);
+  assert.equal(body.deliveries[0].id, resend.body.deliveryId);
+  assert.equal(body.deliveries[0].resendOf, original.id);
+  assert.equal(body.deliveries[0].status, "sent");
+});
+
+test("filters and unknown ids of the delivery log", async () => {
+  const failed = await request("/deliveries?status=failed");
+  assert.equal(failed.body.total, 0);
+
+  const invalid = await request("/deliveries?type=other");
+  assert.equal(invalid.status, 400);
+
+  const missing = await request("/deliveries/nope");
+  assert.equal(missing.status, 404);
+});
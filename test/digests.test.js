@@ -0,0 +1,145 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp } from "fs/promises";
+import moment from "moment-timezone";
+
+const now = moment.tz("America/Argentina/Buenos_Aires");
+const today = now.format("YYYY-MM-DD");
+
+const rows = [
+  {
+    _id: 1,
+    idempresa: "1",
+    empresa: "Estación 1",
+    direccion: "Calle 1",
+    localidad: "Córdoba",
+    provincia: "CORDOBA",
+    empresabandera: "YPF",
+    producto: "Nafta (súper) entre 92 y 95 Ron",
+    tipohorario: "Diurno",
+    precio: "1000",
+    fecha_vigencia: `${today}T09:00:00`,
+  },
+];
+
+let api;
+let server;
+let baseUrl;
+
+before(async () => {
+  api = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records: rows, total: rows.length },
+      })
+    );
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  process.env.DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "digests-"));
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  process.env.TRIGGER_TOKEN = "secret";
+  process.env.EMAIL_TRANSPORTS = "outbox";
+  process.env.EMAIL_RECIPIENTS = "equipo@example.com";
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  const { default: app } = await import("../index.js");
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Los resúmenes se arman con los snapshots de los reportes diarios
+  await runReport("/trigger-report");
+});
+
+after(() => {
+  server.close();
+  api.close();
+});
+
+// Function to call the service with the trigger token
+async function request(url, options = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    ...options,
+    headers: { Authorization: "Bearer secret", ...options.headers },
+  });
+  const type = response.headers.get("content-type") || "";
+  return {
+    status: response.status,
+    body: type.includes("json") ? await response.json() : await response.text(),
+  };
+}
+
+// Function to trigger a report and wait until its job finishes
+async function runReport(url) {
+  const { body } = await request(url, { method: "POST" });
+  for (;;) {
+    const { body: job } = await request(`/jobs/${body.jobId}`);
+    if (!["queued", "running"].includes(job.status)) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+// Function to get the stored HTML of the last delivery of a type
+async function getLastDelivery(type) {
+  const { body } = await request(`/deliveries?type=${type}`);
+  const [delivery] = body.deliveries;
+  const html = await request(`/deliveries/${delivery.id}?format=html`);
+  return { delivery, html: html.body };
+}
+
+test("the weekly digest covers the week of the date with its template", async () => {
+  const job = await runReport(`/trigger-report?type=weekly&date=${today}`);
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.result.days, 1);
+
+  const { delivery, html } = await getLastDelivery("weekly");
+  assert.deepEqual(delivery.range, {
+    from: now.clone().startOf("isoWeek").format("YYYY-MM-DD"),
+    to: today,
+  });
+  assert.match(delivery.subject, /Resumen Semanal/);
+  assert.match(html, /Resumen de la semana del/);
+  assert.match(html, /CORDOBA/);
+});
+
+test("the monthly digest uses its own template", async () => {
+  const job = await runReport(`/trigger-report?type=monthly&date=${today}`);
+  assert.equal(job.status, "succeeded");
+
+  const { delivery, html } = await getLastDelivery("monthly");
+  assert.equal(
+    delivery.range.from,
+    now.clone().startOf("month").format("YYYY-MM-DD")
+  );
+  assert.match(delivery.subject, /Resumen Mensual/);
+  assert.match(html, /Resumen del mes/);
+  assert.doesNotMatch(html, /Resumen de la semana/);
+});
+
+test("a period without daily snapshots fails without sending", async () => {
+  const date = now.clone().subtract(14, "days").format("YYYY-MM-DD");
+  const job = await runReport(`/trigger-report?type=weekly&date=${date}`);
+  assert.equal(job.status, "failed");
+  assert.match(job.error.message, /No daily snapshots stored/);
+
+  const { body } = await request("/deliveries?type=weekly");
+  assert.equal(body.total, 1);
+});
+
+test("a period is sent once unless forced", async () => {
+  const again = await request(`/trigger-report?type=weekly&date=${today}`, {
+    method: "POST",
+  });
+  assert.equal(again.status, 409);
+});
@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp, readdir } from "fs/promises";
+import moment from "moment-timezone";
+
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+
+const rows = [
+  {
+    _id: 1,
+    idempresa: "1",
+    empresa: "Estación 1",
+    direccion: "Calle 1",
+    localidad: "Córdoba",
+    provincia: "CORDOBA",
+    empresabandera: "YPF",
+    producto: "Nafta (súper) entre 92 y 95 Ron",
+    tipohorario: "Diurno",
+    precio: "1000",
+    fecha_vigencia: `${today}T09:00:00`,
+  },
+];
+
+let api;
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  // La API tarda en contestar, así el primer job sigue pendiente mientras
+  // llega el segundo disparo
+  api = http.createServer((req, res) => {
+    setTimeout(() => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify({
+          success: true,
+          result: { records: rows, total: rows.length },
+        })
+      );
+    }, 300);
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "jobs-"));
+  process.env.DATA_DIR = dataDir;
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  process.env.TRIGGER_TOKEN = "secret";
+  process.env.EMAIL_TRANSPORTS = "outbox";
+  process.env.EMAIL_RECIPIENTS = "equipo@example.com";
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  const { default: app } = await import("../index.js");
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  api.close();
+});
+
+// Function to call the service with the trigger token
+async function request(url, options = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    ...options,
+    headers: { Authorization: "Bearer secret", ...options.headers },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Function to poll a job until it is no longer queued or running
+async function waitForJob(jobId) {
+  for (;;) {
+    const { body } = await request(`/jobs/${jobId}`);
+    if (!["queued", "running"].includes(body.status)) {
+      return body;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+test("a second trigger while the day is pending points to the same job", async () => {
+  const first = await request("/trigger-report", { method: "POST" });
+  assert.equal(first.status, 202);
+
+  const second = await request("/trigger-report", { method: "POST" });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.jobId, first.body.jobId);
+
+  const job = await waitForJob(first.body.jobId);
+  assert.equal(job.status, "succeeded");
+  assert.deepEqual(
+    job.steps.map((step) => [step.name, step.status]),
+    [
+      ["fetch", "succeeded"],
+      ["normalize", "succeeded"],
+      ["filter", "succeeded"],
+      ["generate", "succeeded"],
+      ["send", "succeeded"],
+    ]
+  );
+  assert.equal((await readdir(path.join(dataDir, "outbox"))).length, 1);
+});
+
+test("a day already sent is only sent again with force", async () => {
+  const again = await request("/trigger-report", { method: "POST" });
+  assert.equal(again.status, 409);
+  assert.ok(again.body.sentReport.sentAt);
+
+  const forced = await request("/trigger-report?force=true", {
+    method: "POST",
+  });
+  assert.equal(forced.status, 202);
+  assert.equal((await waitForJob(forced.body.jobId)).status, "succeeded");
+  assert.equal((await readdir(path.join(dataDir, "outbox"))).length, 2);
+});
+
+test("jobs run one at a time, in order", async () => {
+  const daily = await request("/trigger-report?force=true", {
+    method: "POST",
+  });
+  const weekly = await request("/trigger-report?type=weekly&force=true", {
+    method: "POST",
+  });
+  assert.equal(daily.status, 202);
+  assert.equal(weekly.status, 202);
+  assert.equal(weekly.body.status, "queued");
+
+  const dailyJob = await waitForJob(daily.body.jobId);
+  const weeklyJob = await waitForJob(weekly.body.jobId);
+  assert.ok(weeklyJob.startedAt >= dailyJob.finishedAt);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateRecords } from "../lib/normalize.js";
+
+// Definición mínima: región obligatoria, marca y latitud opcionales
+const definition = {
+  entityField: "id",
+  regionField: "region",
+  brandField: "marca",
+  latitudeField: "lat",
+  regions: ["CORDOBA", "CAPITAL FEDERAL"],
+  regionAliases: { caba: "Capital Federal" },
+  brandAliases: { "Puma Energy": "PUMA" },
+};
+
+test("canonicalizes known spellings and rejects regions out of the list", () => {
+  const { records, rejected } = validateRecords(
+    [
+      { id: "1", region: "Córdoba", marca: "puma energy" },
+      { id: "2", region: "CABA", marca: "Otra" },
+      { id: "3", region: "Canelones" },
+    ],
+    definition
+  );
+
+  assert.deepEqual(
+    records.map((record) => [record.id, record.region, record.marca]),
+    [
+      [1, "CORDOBA", "PUMA"],
+      [2, "CAPITAL FEDERAL", "OTRA"],
+    ]
+  );
+  assert.equal(rejected.total, 1);
+  assert.deepEqual(rejected.byReason, { "Valor inválido en region": 1 });
+});
+
+test("accepts any region when the definition has no region list", () => {
+  const { records, rejected } = validateRecords(
+    [
+      { id: "1", region: "Canelones" },
+      { id: "2", region: "caba" },
+    ],
+    { ...definition, regions: null }
+  );
+
+  assert.deepEqual(
+    records.map((record) => record.region),
+    ["CANELONES", "CAPITAL FEDERAL"]
+  );
+  assert.equal(rejected.total, 0);
+});
+
+test("counts the optional fields cleared for an invalid value", () => {
+  const { records, rejected } = validateRecords(
+    [
+      { id: "1", region: "CORDOBA", lat: "norte" },
+      { id: "2", region: "CORDOBA", lat: "" },
+      { id: "3", region: "CORDOBA", lat: "-31,4" },
+    ],
+    definition
+  );
+
+  assert.deepEqual(
+    records.map((record) => record.lat),
+    [null, null, -31.4]
+  );
+  assert.equal(rejected.total, 0);
+  assert.equal(rejected.corrected, 1);
+  assert.equal(rejected.cleared, 1);
+  assert.deepEqual(rejected.clearedByField, { lat: 1 });
+});
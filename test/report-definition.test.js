@@ -0,0 +1,131 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { mkdtemp } from "fs/promises";
+import moment from "moment-timezone";
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures"
+);
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+const yesterday = moment
+  .tz("America/Argentina/Buenos_Aires")
+  .subtract(1, "day")
+  .format("YYYY-MM-DD");
+const nextWeek = moment
+  .tz("America/Argentina/Buenos_Aires")
+  .add(7, "days")
+  .format("YYYY-MM-DD");
+
+// Relevamiento de precios de la canasta: otro campo de fecha, de valor, de
+// comercio y de artículo que el dataset de combustibles
+const rawRecords = [
+  {
+    id_comercio: "101",
+    comercio: "Almacén Don Pepe",
+    cadena: "Independiente",
+    articulo: "Leche entera 1L",
+    presentacion: "sachet",
+    provincia: "CORDOBA",
+    localidad: "Córdoba",
+    precio_lista: "1200.50",
+    fecha_relevamiento: `${today} 09:00:00`,
+  },
+  {
+    id_comercio: "101",
+    comercio: "Almacén Don Pepe",
+    cadena: "Independiente",
+    articulo: "Leche entera 1L",
+    presentacion: "sachet",
+    provincia: "CORDOBA",
+    localidad: "Córdoba",
+    precio_lista: "1100",
+    fecha_relevamiento: `${yesterday} 09:00:00`,
+  },
+  {
+    id_comercio: "202",
+    comercio: "Súper Centro",
+    cadena: "Cadena Norte",
+    articulo: "Arroz 1kg",
+    presentacion: "paquete",
+    provincia: "MENDOZA",
+    localidad: "Godoy Cruz",
+    precio_lista: "950",
+    fecha_relevamiento: `${nextWeek} 09:00:00`,
+  },
+];
+
+let report;
+
+before(async () => {
+  process.env.REPORT_DEFINITION_FILE = path.join(fixtures, "canasta.json");
+  process.env.DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "report-test-"));
+  delete process.env.DATE_FIELD;
+  report = await import("../index.js");
+});
+
+test("builds the record schema from the definition fields", () => {
+  const { schema } = report.REPORT_DEFINITION;
+  assert.equal(report.REPORT_DEFINITION.dateField, "fecha_relevamiento");
+  assert.deepEqual(schema.fecha_relevamiento, { type: "date", required: true });
+  assert.deepEqual(schema.precio_lista, { type: "price", required: true });
+  assert.deepEqual(schema.id_comercio, { type: "id", required: true });
+  assert.equal(schema.fecha_vigencia, undefined);
+  assert.equal(schema.precio, undefined);
+  assert.equal(schema.idempresa, undefined);
+});
+
+test("validates and analyzes records of a non-fuel dataset", () => {
+  const { records, rejected } = report.normalizeRecords(rawRecords);
+  assert.equal(rejected.total, 0);
+  assert.equal(records.length, rawRecords.length);
+  assert.equal(records[0].precio_lista, 1200.5);
+  assert.equal(records[0].id_comercio, 101);
+
+  const todayData = report.filterDataByRange(records, {
+    from: today,
+    to: today,
+  });
+  assert.deepEqual(todayData, [records[0]]);
+
+  const analysis = report.analyzeData(todayData, records);
+  assert.equal(analysis.totalRecords, 1);
+  assert.deepEqual(
+    analysis.byArticle.map((row) => [row.name, row.count]),
+    [["Leche entera 1L", 1]]
+  );
+  assert.equal(analysis.priceStats.byArticle[0].stats.mean, 1200.5);
+});
+
+test("keys prices and snapshots by the definition fields", () => {
+  const { records } = report.normalizeRecords(rawRecords);
+  assert.equal(report.getPriceKey(records[0]), "101|Leche entera 1L|sachet");
+
+  const index = report.buildPriceIndex(records);
+  const entry = index["101|Leche entera 1L|sachet"];
+  assert.equal(entry.precio_lista, 1200.5);
+  assert.equal(entry.fecha_relevamiento, records[0].fecha_relevamiento);
+  assert.equal(entry.comercio, "Almacén Don Pepe");
+});
+
+test("flags future dates using the definition date field", () => {
+  const { records } = report.normalizeRecords(rawRecords);
+  const todayData = report.filterDataByRange(records, {
+    from: today,
+    to: today,
+  });
+  const { summary } = report.detectDataQualityIssues(todayData, records);
+  assert.equal(summary.issues.length, 1);
+  assert.equal(summary.issues[0].articulo, "Arroz 1kg");
+  assert.equal(summary.issues[0].comercio, "Súper Centro");
+});
+
+test("names exports after the definition slug", () => {
+  assert.equal(
+    report.getExportFilename({ from: today, to: today }),
+    `reporte-canasta-${today}`
+  );
+});
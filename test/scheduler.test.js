@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp, readdir, readFile, writeFile } from "fs/promises";
+import moment from "moment-timezone";
+
+const now = moment.tz("America/Argentina/Buenos_Aires");
+const today = now.format("YYYY-MM-DD");
+
+// Horario diario de un momento del día que ya pasó
+function cronAt(time) {
+  return `${time.minutes()} ${time.hours()} * * *`;
+}
+const missedSlot = now.clone().subtract(30, "minutes").startOf("minute");
+const oldSlot = now.clone().subtract(3, "hours").startOf("minute");
+const lastRunAt = now.clone().subtract(2, "days").toISOString();
+
+const rows = [
+  {
+    _id: 1,
+    idempresa: "1",
+    empresa: "Estación 1",
+    direccion: "Calle 1",
+    localidad: "Córdoba",
+    provincia: "CORDOBA",
+    empresabandera: "YPF",
+    producto: "Nafta (súper) entre 92 y 95 Ron",
+    tipohorario: "Diurno",
+    precio: "1000",
+    fecha_vigencia: `${today}T09:00:00`,
+  },
+];
+
+let api;
+let server;
+let baseUrl;
+let dataDir;
+let report;
+
+before(async () => {
+  api = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records: rows, total: rows.length },
+      })
+    );
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  // perdido: su horario pasó mientras el servicio estaba caído; viejo: pasó
+  // hace más de SCHEDULE_CATCHUP_HOURS; nuevo: no tiene estado guardado
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "scheduler-"));
+  await writeFile(
+    path.join(dataDir, "schedule.json"),
+    JSON.stringify({
+      jobs: [
+        { name: "perdido", cron: cronAt(missedSlot) },
+        { name: "viejo", cron: cronAt(oldSlot) },
+        { name: "nuevo", cron: cronAt(missedSlot) },
+      ],
+    })
+  );
+  await writeFile(
+    path.join(dataDir, "scheduler.json"),
+    JSON.stringify({ perdido: { lastRunAt }, viejo: { lastRunAt } })
+  );
+
+  process.env.DATA_DIR = dataDir;
+  process.env.SCHEDULE_FILE = path.join(dataDir, "schedule.json");
+  process.env.SCHEDULE_CATCHUP_HOURS = "2";
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  process.env.EMAIL_TRANSPORTS = "outbox";
+  process.env.EMAIL_RECIPIENTS = "equipo@example.com";
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  report = await import("../index.js");
+  server = report.default.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  await report.startScheduler();
+});
+
+after(() => {
+  report.stopScheduler();
+  server.close();
+  api.close();
+});
+
+// Function to read the persisted scheduler state
+async function readState() {
+  return JSON.parse(
+    await readFile(path.join(dataDir, "scheduler.json"), "utf8")
+  );
+}
+
+test("a run missed while down is caught up on start", async () => {
+  const { perdido } = await readState();
+  assert.equal(perdido.lastStatus, "success");
+  assert.equal(perdido.lastScheduledAt, missedSlot.toISOString());
+  assert.equal(perdido.lastRunAt, missedSlot.toISOString());
+
+  const job = await (
+    await fetch(`${baseUrl}/jobs/${perdido.lastJobId}`)
+  ).json();
+  assert.equal(job.source, "schedule:perdido");
+  assert.deepEqual(job.params.range, {
+    from: missedSlot.format("YYYY-MM-DD"),
+    to: missedSlot.format("YYYY-MM-DD"),
+  });
+  assert.equal((await readdir(path.join(dataDir, "outbox"))).length, 1);
+});
+
+test("a run missed longer than SCHEDULE_CATCHUP_HOURS ago is skipped", async () => {
+  const { viejo } = await readState();
+  assert.deepEqual(viejo, { lastRunAt });
+});
+
+test("the first start only records the last slot", async () => {
+  const { nuevo } = await readState();
+  assert.deepEqual(nuevo, { lastRunAt: missedSlot.toISOString() });
+});
+
+test("GET /schedule shows the next runs and the last result", async () => {
+  const { jobs } = await (await fetch(`${baseUrl}/schedule`)).json();
+  const perdido = jobs.find((job) => job.name === "perdido");
+  assert.equal(perdido.lastStatus, "success");
+  assert.equal(perdido.running, false);
+  assert.equal(
+    moment(perdido.nextRuns[0]).valueOf(),
+    missedSlot.clone().add(1, "day").valueOf()
+  );
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { mkdtemp, mkdir, readFile, writeFile } from "fs/promises";
+import moment from "moment-timezone";
+
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+const yesterday = moment
+  .tz("America/Argentina/Buenos_Aires")
+  .subtract(1, "day")
+  .format("YYYY-MM-DD");
+
+// El dataset sólo tiene el último precio de cada estación: la de ayer ya
+// publicó un precio nuevo hoy
+const rows = [
+  { idempresa: "1", fecha_vigencia: `${yesterday}T09:00:00`, precio: "1000" },
+  { idempresa: "2", fecha_vigencia: `${today}T09:00:00`, precio: "1100" },
+].map((row, index) => ({
+  _id: index + 1,
+  empresa: `Estación ${row.idempresa}`,
+  direccion: "Calle 1",
+  localidad: "Córdoba",
+  provincia: "CORDOBA",
+  empresabandera: "YPF",
+  producto: "Nafta (súper) entre 92 y 95 Ron",
+  tipohorario: "Diurno",
+  ...row,
+}));
+
+let server;
+let dataDir;
+let report;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records: rows, total: rows.length },
+      })
+    );
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "snapshots-test-"));
+  process.env.DATA_DIR = dataDir;
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    server.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  report = await import("../index.js");
+});
+
+after(() => {
+  server.close();
+});
+
+test("a re-run for a past day leaves its snapshot untouched", async () => {
+  const snapshotPath = path.join(dataDir, "snapshots", `${yesterday}.json.gz`);
+  await mkdir(path.dirname(snapshotPath), { recursive: true });
+  const original = zlib.gzipSync(
+    JSON.stringify({
+      date: yesterday,
+      savedAt: `${yesterday}T23:00:00.000Z`,
+      totalRecords: 0,
+      analysis: {},
+      records: [],
+    })
+  );
+  await writeFile(snapshotPath, original);
+
+  await report.prepareReport({ from: yesterday, to: yesterday });
+
+  assert.deepEqual(await readFile(snapshotPath), original);
+});
+
+test("the report of today saves today's snapshot", async () => {
+  await report.prepareReport({ from: today, to: today });
+
+  const snapshot = JSON.parse(
+    zlib.gunzipSync(
+      await readFile(path.join(dataDir, "snapshots", `${today}.json.gz`))
+    )
+  );
+  assert.equal(snapshot.date, today);
+  assert.deepEqual(
+    snapshot.records.map((record) => record.idempresa),
+    [2]
+  );
+});
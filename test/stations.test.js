@@ -0,0 +1,98 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp } from "fs/promises";
+import moment from "moment-timezone";
+
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+
+// Dos estaciones en Córdoba: la más cercana es la más cara
+const rows = [
+  { idempresa: "1", precio: "1200", latitud: -31.42, longitud: -64.18 },
+  { idempresa: "2", precio: "1000", latitud: -31.44, longitud: -64.2 },
+].map((row, index) => ({
+  _id: index + 1,
+  empresa: `Estación ${row.idempresa}`,
+  direccion: "Calle 1",
+  localidad: "Córdoba",
+  provincia: "CORDOBA",
+  empresabandera: "YPF",
+  producto: "Nafta (súper) entre 92 y 95 Ron",
+  tipohorario: "Diurno",
+  fecha_vigencia: `${today}T09:00:00`,
+  ...row,
+}));
+
+let api;
+let server;
+let baseUrl;
+
+before(async () => {
+  api = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records: rows, total: rows.length },
+      })
+    );
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  process.env.DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "stations-"));
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  const { default: app } = await import("../index.js");
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  api.close();
+});
+
+// Function to query /stations/nearby around the first station
+async function searchNearby(params) {
+  const query = new URLSearchParams({
+    lat: "-31.42",
+    lon: "-64.18",
+    ...params,
+  });
+  const response = await fetch(`${baseUrl}/stations/nearby?${query}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test("a blank producto searches without a product filter", async () => {
+  for (const producto of ["", "   "]) {
+    const { status, body } = await searchNearby({ producto });
+    assert.equal(status, 200);
+    assert.equal(body.query.producto, null);
+    assert.deepEqual(
+      body.stations.map((station) => station.id),
+      [1, 2]
+    );
+  }
+});
+
+test("a producto without letters or numbers is rejected", async () => {
+  const { status, body } = await searchNearby({ producto: " -- " });
+  assert.equal(status, 400);
+  assert.equal(body.details, "producto must contain letters or numbers");
+});
+
+test("a producto sorts the stations by price", async () => {
+  const { status, body } = await searchNearby({ producto: "nafta super" });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.stations.map((station) => station.id),
+    [2, 1]
+  );
+});
@@ -0,0 +1,153 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import { mkdtemp, readdir, readFile } from "fs/promises";
+import moment from "moment-timezone";
+
+const today = moment.tz("America/Argentina/Buenos_Aires").format("YYYY-MM-DD");
+
+const rows = [
+  {
+    _id: 1,
+    idempresa: "1",
+    empresa: "Estación 1",
+    direccion: "Calle 1",
+    localidad: "Córdoba",
+    provincia: "CORDOBA",
+    empresabandera: "YPF",
+    producto: "Nafta (súper) entre 92 y 95 Ron",
+    tipohorario: "Diurno",
+    precio: "1000",
+    fecha_vigencia: `${today}T09:00:00`,
+  },
+];
+
+let api;
+let server;
+let baseUrl;
+let dataDir;
+let subscriber;
+let unsubscribePath;
+
+before(async () => {
+  api = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        success: true,
+        result: { records: rows, total: rows.length },
+      })
+    );
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "unsubscribe-"));
+  process.env.DATA_DIR = dataDir;
+  process.env.API_ENDPOINT = `http://127.0.0.1:${
+    api.address().port
+  }/api/3/action/datastore_search?resource_id=abc`;
+  process.env.TRIGGER_TOKEN = "secret";
+  process.env.UNSUBSCRIBE_SECRET = "unsubscribe-secret";
+  process.env.PUBLIC_URL = "https://reportes.example.com";
+  process.env.EMAIL_TRANSPORTS = "outbox";
+  delete process.env.EMAIL_RECIPIENTS;
+  delete process.env.API_FILTERS;
+  delete process.env.API_DATE_RANGE_DAYS;
+  delete process.env.REPORT_DEFINITION_FILE;
+  const { default: app } = await import("../index.js");
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Un suscriptor de Córdoba recibe el reporte del día
+  const created = await fetch(`${baseUrl}/subscribers`, {
+    method: "POST",
+    headers: {
+      Authorization: "Bearer secret",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      email: "gerencia@example.com",
+      filters: { provincias: ["Córdoba"] },
+    }),
+  });
+  subscriber = await created.json();
+  const trigger = await fetch(`${baseUrl}/trigger-report`, {
+    method: "POST",
+    headers: { Authorization: "Bearer secret" },
+  });
+  const { jobId } = await trigger.json();
+  for (;;) {
+    const job = await (await fetch(`${baseUrl}/jobs/${jobId}`)).json();
+    if (!["queued", "running"].includes(job.status)) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+});
+
+after(() => {
+  server.close();
+  api.close();
+});
+
+// Function to get the subscriber status from the admin API
+async function getSubscriber() {
+  const response = await fetch(`${baseUrl}/subscribers/${subscriber.id}`, {
+    headers: { Authorization: "Bearer secret" },
+  });
+  return response.json();
+}
+
+test("the subscriber email carries one-click unsubscribe headers", async () => {
+  const outbox = path.join(dataDir, "outbox");
+  const [file] = await readdir(outbox);
+  // Los headers largos se pliegan en varias líneas
+  const headers = (await readFile(path.join(outbox, file), "utf8"))
+    .replace(/\r\n/g, "\n")
+    .split("\n\n")[0]
+    .replace(/\n[ \t]+/g, " ");
+
+  assert.match(headers, /^To: gerencia@example\.com$/m);
+  assert.match(headers, /^List-Unsubscribe-Post: List-Unsubscribe=One-Click$/m);
+  const [, url] = headers.match(/^List-Unsubscribe: <([^>]+)>$/m);
+  const link = new URL(url);
+  assert.equal(link.origin, "https://reportes.example.com");
+  assert.equal(link.pathname, `/unsubscribe/${subscriber.id}`);
+  unsubscribePath = `${link.pathname}${link.search}`;
+});
+
+test("opening the link only shows the confirmation", async () => {
+  const response = await fetch(`${baseUrl}${unsubscribePath}`);
+  assert.equal(response.status, 200);
+  const html = await response.text();
+  assert.match(html, /<form method="post"/);
+  assert.match(html, /gerencia@example\.com/);
+  assert.equal((await getSubscriber()).active, true);
+});
+
+test("a link with a wrong token is rejected", async () => {
+  for (const method of ["GET", "POST"]) {
+    const response = await fetch(
+      `${baseUrl}/unsubscribe/${subscriber.id}?token=wrong`,
+      { method }
+    );
+    assert.equal(response.status, 403);
+  }
+  assert.equal((await getSubscriber()).active, true);
+});
+
+test("the one-click POST unsubscribes", async () => {
+  const response = await fetch(`${baseUrl}${unsubscribePath}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "List-Unsubscribe=One-Click",
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await getSubscriber()).active, false);
+
+  const page = await fetch(`${baseUrl}${unsubscribePath}`);
+  assert.match(await page.text(), /ya está dado de baja/);
+});